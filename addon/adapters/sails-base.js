@@ -1,3 +1,13 @@
+import AdapterError, {
+  AbortError,
+  ConflictError,
+  ForbiddenError,
+  InvalidError,
+  NotFoundError,
+  ServerError,
+  TimeoutError,
+  UnauthorizedError,
+} from '@ember-data/adapter/error';
 import RESTAdapter from '@ember-data/adapter/rest';
 import { debug, warn } from '@ember/debug';
 import { action, set } from '@ember/object';
@@ -8,9 +18,17 @@ import {
   sendEvent,
 } from '@ember/object/events';
 import { bind, schedule } from '@ember/runloop';
+import { inject as service } from '@ember/service';
 import { camelize } from '@ember/string';
 import { cached } from '@glimmer/tracking';
 import { pluralize } from 'ember-inflector';
+import { defaultErrorParsers } from '../error-parsers';
+import { queryToWaterline } from '../waterline';
+import {
+  SailsAbortError,
+  SailsRequestError,
+  SailsTimeoutError,
+} from '../errors';
 
 /**
  * Base adapter for SailsJS adapters
@@ -22,6 +40,8 @@ import { pluralize } from 'ember-inflector';
  */
 
 export default class SailsBase extends RESTAdapter {
+  @service sailsSocket;
+
   @cached
   get SAILS_LOG_LEVEL() {
     return this.appConfig?.SAILS_LOG_LEVEL || 'error';
@@ -75,6 +95,528 @@ export default class SailsBase extends RESTAdapter {
    */
   _csrfTokenLoadingPromise = null;
 
+  /**
+   * The `adapterOptions` of the store call currently building its request
+   * @since 2.2.0
+   * @property _currentAdapterOptions
+   * @type Object
+   * @private
+   */
+  _currentAdapterOptions = null;
+
+  /**
+   * The object receiving the `protocol`, `status` and `headers` of the response of the store call
+   * currently building its request
+   * @since 2.2.0
+   * @property _currentOut
+   * @type Object
+   * @private
+   */
+  _currentOut = null;
+
+  /**
+   * The response header holding the total number of records matching a query, `null` to not read it
+   *
+   * @since 2.2.0
+   * @property totalCountHeader
+   * @type String
+   */
+  totalCountHeader = 'X-Total-Count';
+
+  /**
+   * The path, relative to the URL of the model, of an endpoint returning the number of records
+   * matching a `where` (as a number or as `{count: n}`). When set, it is requested for the queries
+   * whose response has no `totalCountHeader`
+   *
+   * @since 2.2.0
+   * @property countPath
+   * @type String
+   */
+  countPath = null;
+
+  /**
+   * The maximum number of records fetched in one request by `findMany` (used when
+   * `coalesceFindRequests` is `true`), `null` for no limit other than `maxURLLength`
+   *
+   * @since 2.2.0
+   * @property findManyChunkSize
+   * @type Number
+   */
+  findManyChunkSize = 100;
+
+  /**
+   * Whether the serializer should link the `hasMany` relationships missing from a payload to the
+   * `/:model/:id/:association` route of the blueprints, so that they are loaded by `findHasMany`
+   *
+   * @since 2.2.0
+   * @property associationLinks
+   * @type Boolean
+   */
+  associationLinks = true;
+
+  /**
+   * Whether to save the changes of the `hasMany` relationships with the `PUT` and `DELETE`
+   * `/:model/:id/:association/:childid` routes of the blueprints when updating a record, instead of
+   * sending the whole arrays with the record
+   *
+   * @since 2.2.0
+   * @property saveHasManyDiffs
+   * @type Boolean
+   */
+  saveHasManyDiffs = false;
+
+  /**
+   * Options overriding the properties of this adapter for some models, by model name, like
+   * `{post: {conflictPolicy: 'notify'}}`. A model class can also define them in a static `sails`
+   * property, which takes precedence (see `modelOption`)
+   *
+   * @since 2.2.0
+   * @property modelOptions
+   * @type Object
+   */
+  modelOptions = null;
+
+  /**
+   * The IDs of the `hasMany` relationships last received from Sails, by model name, record ID and
+   * relationship name
+   * @since 2.2.0
+   * @property _associations
+   * @type Object
+   * @private
+   */
+  _associations = Object.create(null);
+
+  /**
+   * The parsers used to turn the error payloads of Sails into per-attribute errors, tried in order
+   * until one recognizes the payload (see `error-parsers`). Each one is given the body of the
+   * response and returns a hash of error messages by attribute name, or `null`
+   *
+   * @since 2.2.0
+   * @property errorParsers
+   * @type Array<Function>
+   */
+  errorParsers = defaultErrorParsers;
+
+  /**
+   * @since 2.2.0
+   * @method findRecord
+   * @inheritDoc
+   */
+  findRecord(store, type, id, snapshot) {
+    return this._withAdapterOptions(snapshot && snapshot.adapterOptions, () =>
+      super.findRecord(...arguments),
+    );
+  }
+
+  /**
+   * @since 2.2.0
+   * @method findAll
+   * @inheritDoc
+   */
+  findAll(store, type, sinceToken, snapshotRecordArray) {
+    return this._withAdapterOptions(
+      snapshotRecordArray && snapshotRecordArray.adapterOptions,
+      () => super.findAll(...arguments),
+    );
+  }
+
+  /**
+   * Find the records with the given IDs with one `find` request on the blueprints of Sails, with
+   * a `where: {id: {in: ids}}`
+   *
+   * @since 2.2.0
+   * @method findMany
+   * @inheritDoc
+   */
+  findMany(store, type, ids, snapshots) {
+    const url = this.buildURL(type.modelName, ids, snapshots, 'findMany');
+    return this.ajax(url, 'GET', { data: this._findManyQuery(ids) });
+  }
+
+  /**
+   * Split the records to find in groups fitting in the `findManyChunkSize` and in the
+   * `maxURLLength` once sent as a `where` query
+   *
+   * @since 2.2.0
+   * @method groupRecordsForFindMany
+   * @inheritDoc
+   */
+  groupRecordsForFindMany(store, snapshots) {
+    const groups = [];
+    const maxCount = this.findManyChunkSize;
+    const maxLength = this.maxURLLength;
+    let group = [];
+    snapshots.forEach((snapshot) => {
+      const candidate = group.concat(snapshot);
+      if (
+        group.length &&
+        ((maxCount && candidate.length > maxCount) ||
+          (maxLength && this._findManyURLLength(candidate) > maxLength))
+      ) {
+        groups.push(group);
+        group = [snapshot];
+      } else {
+        group = candidate;
+      }
+    });
+    if (group.length) {
+      groups.push(group);
+    }
+    return groups;
+  }
+
+  /**
+   * The store gives the options of `store.query`, holding the `adapterOptions`
+   *
+   * @since 2.2.0
+   * @method query
+   * @inheritDoc
+   */
+  query(store, type, query, recordArray, options) {
+    const out = {};
+    return this._withAdapterOptions(
+      options && options.adapterOptions,
+      () =>
+        super.query(
+          store,
+          type,
+          this.serializeQuery(query),
+          recordArray,
+          options,
+        ),
+      out,
+    ).then((payload) =>
+      this._addPaginationMeta(type, query, payload, out.headers),
+    );
+  }
+
+  /**
+   * The store gives the options of `store.queryRecord`, holding the `adapterOptions`
+   *
+   * @since 2.2.0
+   * @method queryRecord
+   * @inheritDoc
+   */
+  queryRecord(store, type, query, options) {
+    return this._withAdapterOptions(options && options.adapterOptions, () =>
+      super.queryRecord(store, type, this.serializeQuery(query), options),
+    );
+  }
+
+  /**
+   * Build the parameters of the `find` request used by `findMany`
+   *
+   * @since 2.2.0
+   * @method _findManyQuery
+   * @param {Array<String>} ids The IDs of the records to find
+   * @return {Object}
+   * @private
+   */
+  _findManyQuery(ids) {
+    return this.serializeQuery({
+      where: { id: { in: ids } },
+      limit: ids.length,
+    });
+  }
+
+  /**
+   * Compute the length of the URL used by `findMany` for the given records
+   *
+   * @since 2.2.0
+   * @method _findManyURLLength
+   * @param {Array<Snapshot>} snapshots The snapshots of the records to find
+   * @return {Number}
+   * @private
+   */
+  _findManyURLLength(snapshots) {
+    const ids = snapshots.map((snapshot) => snapshot.id);
+    const url = this.buildURL(
+      snapshots[0].modelName,
+      ids,
+      snapshots,
+      'findMany',
+    );
+    const data = this._findManyQuery(ids);
+    return Object.keys(data).reduce(
+      (length, key) =>
+        length + key.length + encodeURIComponent(data[key]).length + 2,
+      url.length,
+    );
+  }
+
+  /**
+   * Build the pagination metadata of a query
+   *
+   * @since 2.2.0
+   * @method paginationMetaFor
+   * @param {Object} query The query given to the store
+   * @param {Number} count The number of records returned
+   * @param {Number} [total] The total number of records matching the query, if known
+   * @return {Object} The `total`, `limit`, `skip` and `hasMore` of the result
+   */
+  paginationMetaFor(query, count, total) {
+    const limit = query && query.limit != null ? +query.limit : null;
+    const skip = query && query.skip ? +query.skip : 0;
+    let hasMore;
+    if (total != null) {
+      hasMore = skip + count < total;
+    } else {
+      hasMore = limit != null && count >= limit;
+    }
+    return { total: total == null ? null : total, limit, skip, hasMore };
+  }
+
+  /**
+   * Add the pagination metadata to the payload of a query, as `meta`
+   *
+   * @since 2.2.0
+   * @method _addPaginationMeta
+   * @param {subclass of Model} type The type of the records
+   * @param {Object} query The query given to the store
+   * @param {Object|Array} payload The payload of the response
+   * @param {Object} [headers] The headers of the response
+   * @return {Promise} Resolves to the payload including the `meta`
+   * @private
+   */
+  _addPaginationMeta(type, query, payload, headers) {
+    const key = pluralize(camelize(type.modelName));
+    const records = Array.isArray(payload)
+      ? payload
+      : (payload && payload[key]) || [];
+    return this._totalCountFor(type, query, headers).then((total) => {
+      const meta = this.paginationMetaFor(query, records.length, total);
+      if (Array.isArray(payload)) {
+        return { [key]: payload, meta };
+      }
+      if (payload && typeof payload === 'object') {
+        payload.meta = Object.assign(meta, payload.meta);
+      }
+      return payload;
+    });
+  }
+
+  /**
+   * Find the total number of records matching a query, from the `totalCountHeader` of the response
+   * or else from the `countPath` endpoint
+   *
+   * @since 2.2.0
+   * @method _totalCountFor
+   * @param {subclass of Model} type The type of the records
+   * @param {Object} query The query given to the store
+   * @param {Object} [headers] The headers of the response
+   * @return {Promise} Resolves to the total, or `null` if unknown
+   * @private
+   */
+  _totalCountFor(type, query, headers) {
+    const headerName =
+      this.totalCountHeader && this.totalCountHeader.toLowerCase();
+    const name =
+      headerName &&
+      Object.keys(headers || {}).find(
+        (key) => key.toLowerCase() === headerName,
+      );
+    if (name && headers[name] !== '' && !isNaN(headers[name])) {
+      return Promise.resolve(+headers[name]);
+    }
+    if (!this.countPath) {
+      return Promise.resolve(null);
+    }
+    const url = `${this.buildURL(type.modelName)}/${this.countPath.replace(/^\//, '')}`;
+    const where = query && query.where;
+    return this.ajax(
+      url,
+      'GET',
+      where ? { data: this.serializeQuery({ where }) } : {},
+    )
+      .then((response) => {
+        const count =
+          response && typeof response === 'object' ? response.count : response;
+        return count == null || isNaN(count) ? null : +count;
+      })
+      .catch((error) => {
+        warn(
+          `unable to count the ${type.modelName} records: ${error.message || error}`,
+          false,
+          { id: 'ember-data-sails.count' },
+        );
+        return null;
+      });
+  }
+
+  /**
+   * Translate the query given to `store.query` and `store.queryRecord` into the parameters
+   * understood by the blueprints of Sails (see `queryToWaterline` in the `waterline` module)
+   *
+   * @since 2.2.0
+   * @method serializeQuery
+   * @param {Object} query The query given to the store
+   * @return {Object} The parameters of the request
+   */
+  serializeQuery(query) {
+    return queryToWaterline(query);
+  }
+
+  /**
+   * @since 2.2.0
+   * @method createRecord
+   * @inheritDoc
+   */
+  createRecord(store, type, snapshot) {
+    return this._withAdapterOptions(snapshot.adapterOptions, () =>
+      super.createRecord(...arguments),
+    );
+  }
+
+  /**
+   * @since 2.2.0
+   * @method updateRecord
+   * @inheritDoc
+   */
+  updateRecord(store, type, snapshot) {
+    const update = () =>
+      this._withAdapterOptions(snapshot.adapterOptions, () =>
+        super.updateRecord(store, type, snapshot),
+      );
+    if (!this.saveHasManyDiffs) {
+      return update();
+    }
+    // save the relationships first, so that the record returned by the update includes them
+    return this._saveHasManyDiffs(store, type, snapshot).then(update);
+  }
+
+  /**
+   * Load a `hasMany` relationship from its link, usually the `/:model/:id/:association` route
+   *
+   * @since 2.2.0
+   * @method findHasMany
+   * @inheritDoc
+   */
+  findHasMany(store, snapshot, url, relationship) {
+    return this._withAdapterOptions(snapshot.adapterOptions, () =>
+      super.findHasMany(...arguments),
+    ).then((payload) => {
+      if (Array.isArray(payload)) {
+        this.rememberAssociation(
+          snapshot.modelName,
+          snapshot.id,
+          relationship.key,
+          payload.map((record) =>
+            record && record.id != null ? record.id : record,
+          ),
+        );
+      }
+      return payload;
+    });
+  }
+
+  /**
+   * Build the URL of the association route of a record, or of one of its children when `childId`
+   * is given
+   *
+   * @since 2.2.0
+   * @method urlForAssociation
+   * @param {String} modelName The name of the model of the record
+   * @param {String} id The ID of the record
+   * @param {String} association The name of the association in Sails
+   * @param {String} [childId] The ID of the child
+   * @return {String}
+   */
+  urlForAssociation(modelName, id, association, childId) {
+    const url = `${this.buildURL(modelName, id)}/${encodeURIComponent(association)}`;
+    return childId == null ? url : `${url}/${encodeURIComponent(childId)}`;
+  }
+
+  /**
+   * Remember the IDs of a `hasMany` relationship as known by Sails, used to compute the changes to
+   * save when `saveHasManyDiffs` is `true`
+   *
+   * @since 2.2.0
+   * @method rememberAssociation
+   * @param {String} modelName The name of the model of the record
+   * @param {String} id The ID of the record
+   * @param {String} key The name of the relationship
+   * @param {Array<String>} ids The IDs of the related records
+   */
+  rememberAssociation(modelName, id, key, ids) {
+    const records = (this._associations[modelName] =
+      this._associations[modelName] || Object.create(null));
+    const associations = (records[id] = records[id] || Object.create(null));
+    associations[key] = ids.map((childId) => `${childId}`);
+  }
+
+  /**
+   * Send the `PUT` and `DELETE` requests adding and removing the children of the changed `hasMany`
+   * relationships of a record. When the IDs known by Sails are not known, all the current children
+   * are added (adding an existing child is a no-op in Sails)
+   *
+   * @since 2.2.0
+   * @method _saveHasManyDiffs
+   * @param {Store} store
+   * @param {subclass of Model} type The type of the record
+   * @param {Snapshot} snapshot The snapshot of the record
+   * @return {Promise}
+   * @private
+   */
+  _saveHasManyDiffs(store, type, snapshot) {
+    const serializer = store.serializerFor(type.modelName);
+    const remote =
+      (this._associations[type.modelName] || {})[snapshot.id] || {};
+    const changes = [];
+    type.eachRelationship((key, relationship) => {
+      if (
+        relationship.kind !== 'hasMany' ||
+        (serializer.shouldSerializeHasMany &&
+          !serializer.shouldSerializeHasMany(snapshot, key, relationship))
+      ) {
+        return;
+      }
+      const current = snapshot.hasMany(key, { ids: true });
+      if (!current) {
+        return;
+      }
+      const known = remote[key];
+      const association = serializer.keyForRelationship
+        ? serializer.keyForRelationship(key, 'hasMany', 'serialize')
+        : key;
+      const requests = current
+        .filter((id) => !known || !known.includes(`${id}`))
+        .map((id) => ['PUT', id])
+        .concat(
+          (known || [])
+            .filter((id) => !current.some((currentId) => `${currentId}` === id))
+            .map((id) => ['DELETE', id]),
+        )
+        .map(([method, id]) =>
+          this.ajax(
+            this.urlForAssociation(
+              type.modelName,
+              snapshot.id,
+              association,
+              id,
+            ),
+            method,
+          ),
+        );
+      changes.push(
+        Promise.all(requests).then(() =>
+          this.rememberAssociation(type.modelName, snapshot.id, key, current),
+        ),
+      );
+    });
+    return Promise.all(changes);
+  }
+
+  /**
+   * @since 2.2.0
+   * @method deleteRecord
+   * @inheritDoc
+   */
+  deleteRecord(store, type, snapshot) {
+    return this._withAdapterOptions(snapshot.adapterOptions, () =>
+      super.deleteRecord(...arguments),
+    );
+  }
+
   /**
    * Send a message using `_request` of extending class
    *
@@ -84,11 +626,21 @@ export default class SailsBase extends RESTAdapter {
    */
   @action
   ajax(url, method, options) {
-    const out = {};
+    const out = this._currentOut || {};
+    const adapterOptions = this._currentAdapterOptions;
+    this._currentOut = null;
     method = method.toUpperCase();
     if (!options) {
       options = {};
     }
+    if (adapterOptions) {
+      // the `timeout` and `signal` given to the store are forwarded to `_request`
+      ['timeout', 'signal'].forEach((key) => {
+        if (adapterOptions[key] !== undefined && options[key] === undefined) {
+          options[key] = adapterOptions[key];
+        }
+      });
+    }
     if (!options.data && method !== 'GET') {
       // so that we can add our CSRF token
       options.data = {};
@@ -102,10 +654,15 @@ export default class SailsBase extends RESTAdapter {
             debug('  → request:', options.data);
             debug('  ← response:', response);
             if (this.isErrorObject(response)) {
-              if (response.errors) {
-                return Promise.reject(new Error(this.formatError(response)));
-              }
-              return Promise.reject(response);
+              return Promise.reject(
+                new SailsRequestError({
+                  protocol: out.protocol,
+                  method,
+                  url,
+                  status: response.status || 400,
+                  body: response,
+                }),
+              );
             }
             return response;
           }),
@@ -117,7 +674,7 @@ export default class SailsBase extends RESTAdapter {
             });
             debug('  → request:', options.data);
             debug('  ← error:', error);
-            return Promise.reject(error);
+            return Promise.reject(this.adapterErrorFor(error));
           }),
         );
     });
@@ -134,29 +691,123 @@ export default class SailsBase extends RESTAdapter {
   }
 
   /**
-   * @since 0.0.1
-   * @method ajaxError
+   * @since 2.2.0
+   * @method handleResponse
    * @inheritDoc
    */
-  @action
-  ajaxError(jqXHR) {
-    const error = super.ajaxError(jqXHR);
-    let data;
-
-    try {
-      data = JSON.parse(jqXHR.responseText);
-    } catch (err) {
-      data = jqXHR.responseText;
+  handleResponse(status, headers, payload, requestData) {
+    if (this.isSuccess(status, headers, payload)) {
+      return payload;
     }
+    return this.adapterErrorFor(
+      new SailsRequestError({
+        protocol: 'http',
+        method: requestData && requestData.method,
+        url: requestData && requestData.url,
+        status,
+        headers,
+        body: payload,
+      }),
+    );
+  }
 
-    if (data.errors) {
-      this.error('error returned from Sails', data);
-      return new Error(this.formatError(data));
-    } else if (data) {
-      return new Error(data);
-    } else {
+  /**
+   * Map an error which rejected a request to the matching ember-data error, so that the store
+   * handles it (the `InvalidError` fills the `errors` of the record for example)
+   * The original error stays available as `sailsError` on the returned error
+   *
+   * @since 2.2.0
+   * @method adapterErrorFor
+   * @param {Error} error The error, usually a `SailsRequestError`
+   * @return {AdapterError}
+   */
+  adapterErrorFor(error) {
+    let adapterError;
+    if (error instanceof AdapterError) {
       return error;
     }
+    if (error instanceof SailsTimeoutError) {
+      adapterError = new TimeoutError();
+    } else if (error instanceof SailsAbortError) {
+      adapterError = new AbortError();
+    } else if (!(error instanceof SailsRequestError)) {
+      adapterError = new AdapterError(undefined, error && error.message);
+    } else if (this.isInvalidError(error)) {
+      adapterError = new InvalidError(this.invalidErrorsFor(error.body));
+    } else {
+      const errors = [
+        {
+          status: `${error.status}`,
+          title: error.message,
+          detail: error.body,
+        },
+      ];
+      switch (error.status) {
+        case 401:
+          adapterError = new UnauthorizedError(errors, error.message);
+          break;
+        case 403:
+          adapterError = new ForbiddenError(errors, error.message);
+          break;
+        case 404:
+          adapterError = new NotFoundError(errors, error.message);
+          break;
+        case 409:
+          adapterError = new ConflictError(errors, error.message);
+          break;
+        default:
+          adapterError =
+            error.status >= 500
+              ? new ServerError(errors, error.message)
+              : new AdapterError(errors, error.message);
+      }
+    }
+    adapterError.sailsError = error;
+    return adapterError;
+  }
+
+  /**
+   * Is the given request error a validation error? Sails answers with a `400` holding an error
+   * recognized by one of the `errorParsers`, other servers usually use a `422`
+   *
+   * @since 2.2.0
+   * @method isInvalidError
+   * @param {SailsRequestError} error The error to test
+   * @return {Boolean}
+   */
+  isInvalidError(error) {
+    return (
+      error.status === 422 ||
+      (error.status === 400 && this.parseError(error.body) !== null)
+    );
+  }
+
+  /**
+   * Build the JSON:API errors of an `InvalidError` from the body of a Sails validation error
+   *
+   * @since 2.2.0
+   * @method invalidErrorsFor
+   * @param {Object} body The body of the response
+   * @return {Array<Object>}
+   */
+  invalidErrorsFor(body) {
+    if (body && Array.isArray(body.errors)) {
+      return body.errors;
+    }
+    const hash = this.formatError(body);
+    return Object.keys(hash).reduce(function (errors, attribute) {
+      hash[attribute].forEach(function (message) {
+        errors.push({
+          title: 'Invalid Attribute',
+          detail: message,
+          source: {
+            pointer:
+              attribute === 'base' ? '/data' : `/data/attributes/${attribute}`,
+          },
+        });
+      });
+      return errors;
+    }, []);
   }
 
   /**
@@ -203,23 +854,59 @@ export default class SailsBase extends RESTAdapter {
   }
 
   /**
-   * Format an error coming from Sails
+   * Format an error coming from Sails into a hash of error messages by attribute name
    *
    * @since 0.0.1
    * @method formatError
    * @param {Object} error The error to format
-   * @return {Object}
+   * @return {Object} The error messages, empty if no parser recognized the error
    */
   formatError(error) {
-    return Object.keys(error.invalidAttributes).reduce(function (
-      memo,
-      property,
-    ) {
-      memo[property] = error.invalidAttributes[property].map(function (err) {
-        return err.message;
-      });
-      return memo;
-    }, {});
+    return this.parseError(error) || {};
+  }
+
+  /**
+   * Run the `errorParsers` on the given error payload
+   *
+   * @since 2.2.0
+   * @method parseError
+   * @param {Object} error The error payload
+   * @return {Object|null} The result of the first parser recognizing the payload, else `null`
+   */
+  parseError(error) {
+    if (!error || typeof error !== 'object') {
+      return null;
+    }
+    for (const parser of this.errorParsers) {
+      const parsed = parser(error);
+      if (parsed) {
+        return parsed;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Get the value of an option for the given model: from the static `sails` property of the model
+   * class, else from the `modelOptions` of this adapter, else from the property of this adapter
+   *
+   * @since 2.2.0
+   * @method modelOption
+   * @param {subclass of Model|String} type The model class or its name
+   * @param {String} key The name of the option
+   * @return {mixed}
+   */
+  modelOption(type, key) {
+    const modelName = typeof type === 'string' ? type : type && type.modelName;
+    const fromModel = type && typeof type !== 'string' ? type.sails : null;
+    if (fromModel && fromModel[key] !== undefined) {
+      return fromModel[key];
+    }
+    const fromAdapter = this.modelOptions && this.modelOptions[modelName];
+    if (fromAdapter && fromAdapter[key] !== undefined) {
+      return fromAdapter[key];
+    }
+    return this[key];
   }
 
   /**
@@ -231,6 +918,32 @@ export default class SailsBase extends RESTAdapter {
     return pluralize(camelize(type));
   }
 
+  /**
+   * Call the given function, making the given `adapterOptions` available to `ajax`
+   * The store methods of `RESTAdapter` call `ajax` synchronously, so that is enough for them
+   * to forward the request options
+   *
+   * @since 2.2.0
+   * @method _withAdapterOptions
+   * @param {Object} [adapterOptions] The `adapterOptions` given to the store
+   * @param {Function} callback The function building and sending the request
+   * @param {Object} [out] The object receiving the `protocol`, `status` and `headers` of the response
+   * @return {mixed} The result of the callback
+   * @private
+   */
+  _withAdapterOptions(adapterOptions, callback, out) {
+    const old = this._currentAdapterOptions;
+    const oldOut = this._currentOut;
+    this._currentAdapterOptions = adapterOptions || null;
+    this._currentOut = out || null;
+    try {
+      return callback();
+    } finally {
+      this._currentAdapterOptions = old;
+      this._currentOut = oldOut;
+    }
+  }
+
   /**
    * Is the given result a Sails error object?
    *
@@ -240,7 +953,10 @@ export default class SailsBase extends RESTAdapter {
    * @return {Boolean} Returns `true` if it's an error object, else `false`
    */
   isErrorObject(data) {
-    return !!(data && data.error && data.model && data.summary && data.status);
+    return !!(
+      (data && data.error && data.model && data.summary && data.status) ||
+      this.parseError(data)
+    );
   }
 
   /**
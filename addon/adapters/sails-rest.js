@@ -1,7 +1,10 @@
 import { A } from '@ember/array';
+import { UnauthorizedError } from '@ember-data/adapter/error';
 import RESTAdapter from '@ember-data/adapter/rest';
 // eslint-disable-next-line ember/no-computed-properties-in-native-classes
 import { computed } from '@ember/object';
+import { cancel, later } from '@ember/runloop';
+import { SailsAbortError, SailsTimeoutError } from '../errors';
 import SailsBaseAdapter from './sails-base';
 
 /**
@@ -56,7 +59,99 @@ export default class SailsRest extends SailsBaseAdapter {
    */
   _request(out, url, method, options) {
     out.protocol = 'http';
-    return this._restAdapter_ajax.call(this, url, method, options);
+    const sailsSocket = this.sailsSocket;
+    // share the authentication lifecycle of the socket service: wait for any refresh in progress,
+    // and on a 401 refresh the token then retry once
+    const send = () =>
+      sailsSocket.whenAuthenticated().then(() =>
+        this._httpRequest(url, method, {
+          ...options,
+          headers: Object.assign(sailsSocket.authHeaders(), options.headers),
+          out,
+        }),
+      );
+    return send().catch((error) => {
+      if (error instanceof UnauthorizedError) {
+        return sailsSocket.authenticate().then(send, () => {
+          throw error;
+        });
+      }
+      throw error;
+    });
+  }
+
+  /**
+   * Sends a request over HTTP, handling its timeout and abort signal
+   *
+   * @since 2.2.0
+   * @method _httpRequest
+   * @param {String} url
+   * @param {String} method
+   * @param {Object} options
+   * @returns {Promise}
+   * @private
+   */
+  _httpRequest(url, method, options) {
+    const { timeout, signal } = options;
+    const requestInfo = { protocol: 'http', method, url };
+    if (!timeout && !signal) {
+      return this._restAdapter_ajax.call(this, url, method, options);
+    }
+    // use our own controller so that both the timeout and the given signal can abort the fetch
+    const controller = new AbortController();
+    const onAbort = () => controller.abort();
+    let timer = null;
+    let timedOut = false;
+    if (signal) {
+      if (signal.aborted) {
+        return Promise.reject(new SailsAbortError(signal.reason, requestInfo));
+      }
+      signal.addEventListener('abort', onAbort);
+    }
+    if (timeout) {
+      timer = later(() => {
+        timedOut = true;
+        controller.abort();
+      }, timeout);
+    }
+    return this._restAdapter_ajax
+      .call(this, url, method, { ...options, signal: controller.signal })
+      .catch((error) => {
+        if (timedOut) {
+          throw new SailsTimeoutError(timeout, requestInfo);
+        } else if (controller.signal.aborted) {
+          throw new SailsAbortError(signal.reason, requestInfo);
+        }
+        throw error;
+      })
+      .finally(() => {
+        cancel(timer);
+        if (signal) {
+          signal.removeEventListener('abort', onAbort);
+        }
+      });
+  }
+
+  /**
+   * Record the status and headers of the response in the `out` object given with the request
+   *
+   * @since 2.2.0
+   * @method _fetchRequest
+   * @inheritDoc
+   * @private
+   */
+  _fetchRequest(options) {
+    return super._fetchRequest(options).then((response) => {
+      if (options.out && response) {
+        const headers = {};
+        response.headers.forEach((value, name) => {
+          headers[name] = value;
+        });
+        options.out.status = response.status;
+        options.out.headers = headers;
+      }
+      return response;
+    });
   }
 
   /**
@@ -3,8 +3,29 @@ import { bind, debounce } from '@ember/runloop';
 import { inject as service } from '@ember/service';
 import { camelize } from '@ember/string';
 import { pluralize } from 'ember-inflector';
+import { remoteStateFor } from '../remote-state';
 import SailsBaseAdapter from './sails-base';
 
+/**
+ * Compare a local value of a record with a value received from Sails
+ *
+ * @param {mixed} local
+ * @param {mixed} remote
+ * @return {Boolean}
+ */
+function sameValue(local, remote) {
+  if (local instanceof Date) {
+    return remote != null && local.getTime() === new Date(remote).getTime();
+  }
+  if (local == null || remote == null) {
+    return local == null && remote == null;
+  }
+  if (typeof local === 'object' || typeof remote === 'object') {
+    return JSON.stringify(local) === JSON.stringify(remote);
+  }
+  return `${local}` === `${remote}`;
+}
+
 /**
  * Adapter for SailsJS sockets
  *
@@ -15,7 +36,22 @@ import SailsBaseAdapter from './sails-base';
  */
 export default class App extends SailsBaseAdapter {
   @service store;
-  @service sailsSocket;
+  /**
+   * The name of the socket connection to use, see `SailsSocketService.connectionFor`
+   * Leave it `null` to use the default connection
+   * @since 2.2.0
+   * @property connectionName
+   * @type String
+   */
+  connectionName = null;
+  /**
+   * The socket connection this adapter has bound its listeners to
+   * @since 2.2.0
+   * @property _connection
+   * @type SailsSocketService
+   * @private
+   */
+  _connection = null;
   /**
    * Holds the scheduled subscriptions
    * @since 0.0.11
@@ -39,15 +75,274 @@ export default class App extends SailsBaseAdapter {
    * @type String
    */
   subscribeEndpoint = '/socket/subscribe';
+  /**
+   * The method used when sending a request over the socket to remove subscriptions
+   * Set this or unsubscribeEndpoint to `null` will disable unsubscribing
+   * @since 2.2.0
+   * @property unsubscribeMethod
+   * @type String
+   */
+  unsubscribeMethod = 'POST';
+  /**
+   * The path to send a request over the socket to remove subscriptions, like `/socket/unsubscribe`
+   * It is `null` by default, so that the records are never unsubscribed
+   * @since 2.2.0
+   * @property unsubscribeEndpoint
+   * @type String
+   */
+  unsubscribeEndpoint = null;
+  /**
+   * Holds the scheduled unsubscriptions
+   * @since 2.2.0
+   * @property _scheduledUnsubscriptions
+   * @type Object
+   * @private
+   */
+  _scheduledUnsubscriptions = null;
+  /**
+   * The promises of the scheduled subscriptions which something waits for, with their resolve and
+   * reject functions, by camelized model name and ID
+   * @since 2.2.0
+   * @property _subscriptionWaiters
+   * @type Object
+   * @private
+   */
+  _subscriptionWaiters = null;
+  /**
+   * The promises of the subscription requests waiting for the API, by camelized model name and ID
+   * @since 2.2.0
+   * @property _pendingSubscriptions
+   * @type Object
+   * @private
+   */
+  _pendingSubscriptions = null;
+  /**
+   * The method used when sending a request over the socket to watch the creation of records
+   * Set this or watchEndpoint to `null` will disable watching
+   * @since 2.2.0
+   * @property watchMethod
+   * @type String
+   */
+  watchMethod = 'POST';
+  /**
+   * The path to send a request over the socket to watch the creation of records, its action should
+   * join the class room of the models (`Model.watch` or `Model._watch`)
+   * Set this or watchMethod to `null` will disable watching
+   * @since 2.2.0
+   * @property watchEndpoint
+   * @type String
+   */
+  watchEndpoint = '/socket/watch';
+  /**
+   * The method used when sending a request over the socket to stop watching the creation of records
+   * Set this or unwatchEndpoint to `null` will disable unwatching
+   * @since 2.2.0
+   * @property unwatchMethod
+   * @type String
+   */
+  unwatchMethod = 'POST';
+  /**
+   * The path to send a request over the socket to stop watching the creation of records
+   * Set this or unwatchMethod to `null` will disable unwatching
+   * @since 2.2.0
+   * @property unwatchEndpoint
+   * @type String
+   */
+  unwatchEndpoint = '/socket/unwatch';
+  /**
+   * The watched models, by camelized model name: the number of references to the watch and the
+   * promise of its request
+   * @since 2.2.0
+   * @property _watches
+   * @type Object
+   * @private
+   */
+  _watches = null;
+  /**
+   * The maximum number of record IDs to send in one request when subscribing, unsubscribing or
+   * re-subscribing after a reconnect
+   * Set it to `0` or `null` to send all of them at once
+   * @since 2.2.0
+   * @property subscribeBatchSize
+   * @type Number
+   */
+  subscribeBatchSize = 100;
+  /**
+   * The time in milliseconds to wait for more subscriptions or unsubscriptions before sending them
+   * @since 2.2.0
+   * @property subscribeDebounce
+   * @type Number
+   */
+  subscribeDebounce = 50;
+  /**
+   * When to subscribe to the records, can be set by model like `conflictPolicy`:
+   * - `always`: each record pushed into the store is subscribed until it is unloaded
+   * - `find-record`: only the records loaded with `findRecord` (or the `findMany` coalescing them)
+   *   are subscribed
+   * - `while-rendered`: the records are only subscribed while rendered with the `sails-subscribe`
+   *   helper (or while `store.subscribe` references them)
+   * - `never`: the records are only subscribed with `store.subscribe`
+   * @since 2.2.0
+   * @property subscribePolicy
+   * @type String
+   */
+  subscribePolicy = 'always';
+  /**
+   * The registry of the subscriptions: the number of references to each subscribed record, by
+   * camelized model name and ID. It is used to unsubscribe once nothing references a record anymore
+   * and to replay the subscriptions after a reconnect
+   * @since 2.2.0
+   * @property _subscriptions
+   * @type Object
+   * @private
+   */
+  _subscriptions = null;
+  /**
+   * The records holding a reference to their own subscription because they have been pushed in the
+   * store, by camelized model name and ID
+   * @since 2.2.0
+   * @property _recordSubscriptions
+   * @type Object
+   * @private
+   */
+  _recordSubscriptions = null;
+  /**
+   * Whether the socket has been disconnected since the last subscriptions were sent
+   * @since 2.2.0
+   * @property _needsResubscribe
+   * @type Boolean
+   * @private
+   */
+  _needsResubscribe = false;
+  /**
+   * Whether to re-query the subscribed records which changed while the socket was disconnected
+   * @since 2.2.0
+   * @property resyncOnReconnect
+   * @type Boolean
+   */
+  resyncOnReconnect = false;
+  /**
+   * The attribute used to find the records which changed since the last message seen
+   * @since 2.2.0
+   * @property resyncField
+   * @type String
+   */
+  resyncField = 'updatedAt';
+  /**
+   * The time in milliseconds subtracted from the time of the disconnection when it is used to find
+   * the changed records (no message seen for the model), as the clocks of the client and the
+   * server may differ
+   * @since 2.2.0
+   * @property resyncSafetyMargin
+   * @type Number
+   */
+  resyncSafetyMargin = 60000;
+  /**
+   * Holds the highest `resyncField` value seen in socket messages, by camelized model name
+   * @since 2.2.0
+   * @property _lastSeen
+   * @type Object
+   * @private
+   */
+  _lastSeen = null;
+  /**
+   * The time at which the socket got disconnected, used when no message has been seen for a model
+   * @since 2.2.0
+   * @property _disconnectedAt
+   * @type Number
+   * @private
+   */
+  _disconnectedAt = null;
+  /**
+   * Whether the `updated` messages only hold the changed attributes (Sails 1.x), so that only the
+   * attributes and relationships present in a message are merged into the loaded record
+   * @since 2.2.0
+   * @property partialUpdates
+   * @type Boolean
+   */
+  partialUpdates = false;
+  /**
+   * With `partialUpdates`, whether to compare the `previous` values of an `updated` message with the
+   * local record. When they differ, a `didDetectDivergence` event is triggered and the record is
+   * reloaded instead of being merged
+   * @since 2.2.0
+   * @property checkPreviousOnUpdate
+   * @type Boolean
+   */
+  checkPreviousOnUpdate = false;
+  /**
+   * Whether a partial record is being pushed, so that the serializer leaves the missing
+   * relationships alone
+   * @since 2.2.0
+   * @property isPushingPartial
+   * @type Boolean
+   */
+  isPushingPartial = false;
+  /**
+   * What to do when a message updates or destroys a record which has local changes, can be set by
+   * model with `modelOptions` or with the static `sails` property of the model class:
+   * - `server-wins`: the local changes are rolled back and the message is applied
+   * - `client-wins`: the message is ignored
+   * - `merge-non-dirty-attributes`: only the attributes without local changes are updated, and the
+   *   record is not unloaded when destroyed
+   * - `notify`: the message is not applied, a `conflict` event is triggered on the store instead
+   * @since 2.2.0
+   * @property conflictPolicy
+   * @type String
+   */
+  conflictPolicy = 'merge-non-dirty-attributes';
+  /**
+   * Whether to mark the records destroyed in Sails as `isRemotelyDeleted` instead of unloading them
+   * right away (see `store.markRemotelyDeleted`), can be set by model like `conflictPolicy`
+   * @since 2.2.0
+   * @property softDeletes
+   * @type Boolean
+   */
+  softDeletes = false;
+
+  /**
+   * The socket connection used by this adapter
+   * @since 2.2.0
+   * @property connection
+   * @type SailsSocketService
+   */
+  get connection() {
+    return this._setupConnection();
+  }
 
   /**
-   * @since 1.0.0
-   * @method constructor
+   * @since 2.2.0
+   * @method willDestroy
    * @inheritDoc
    */
-  constructor() {
-    super(...arguments);
-    this.sailsSocket.on('didConnect', this, 'fetchCSRFToken', true);
+  willDestroy() {
+    const connection = this._connection;
+    if (connection) {
+      connection.off('didConnect', this, 'fetchCSRFToken');
+      connection.off('didConnect', this, '_handleSocketConnect');
+      connection.off('didDisconnect', this, '_handleSocketDisconnect');
+    }
+    super.willDestroy(...arguments);
+  }
+
+  /**
+   * Get the socket connection and bind our listeners on it the first time
+   * This can't be done in the constructor since `connectionName` of a subclass isn't set yet there
+   *
+   * @since 2.2.0
+   * @method _setupConnection
+   * @return {SailsSocketService} The connection
+   * @private
+   */
+  _setupConnection() {
+    if (!this._connection) {
+      const connection = this.sailsSocket.connectionFor(this.connectionName);
+      connection.on('didConnect', this, 'fetchCSRFToken');
+      connection.on('didConnect', this, '_handleSocketConnect');
+      connection.on('didDisconnect', this, '_handleSocketDisconnect');
+      this._connection = connection;
+    }
+    return this._connection;
   }
 
   /**
@@ -64,7 +359,18 @@ export default class App extends SailsBaseAdapter {
    */
   _request(out, url, method, options) {
     out.protocol = 'socket';
-    return this.sailsSocket.request(method, url, options.data);
+    return this.connection
+      .request(method, url, options.data, {
+        timeout: options.timeout,
+        signal: options.signal,
+        headers: Object.assign({}, this.headers, options.headers),
+        fullResponse: true,
+      })
+      .then((jwr) => {
+        out.status = jwr.statusCode;
+        out.headers = jwr.headers || {};
+        return jwr.body;
+      });
   }
 
   /**
@@ -77,20 +383,50 @@ export default class App extends SailsBaseAdapter {
   }
 
   /**
-   * Whether we should subscribe to a given model or not
-   * By default it subscribe to any model, tho it's better to optimize by setting up a filter here
+   * Whether we should subscribe to a given record or not, once allowed by the `subscribePolicy` of
+   * its model
+   * By default it subscribe to any record, tho it's better to optimize by setting up a filter here
    * so that it does not ask the server for subscription on unneeded stuff
    *
    * @since 0.0.11
    * @method shouldSubscribe
    * @param {subclass of Model} type The type of the record
-   * @param {Object} recordJson The json of the record (DO NOT ALTER IT!)
+   * @param {String|Number} id The ID of the record
    * @returns {Boolean} If `false` then the record isn't subscribed for, else it is
    */
-  shouldSubscribe(/*type, recordJson*/) {
+  shouldSubscribe(/*type, id*/) {
     return true;
   }
 
+  /**
+   * Subscribe to the found record when the `subscribePolicy` of its model is `find-record`
+   *
+   * @since 2.2.0
+   * @method findRecord
+   * @inheritDoc
+   */
+  findRecord(store, type, id) {
+    return super.findRecord(...arguments).then((payload) => {
+      this._scheduleSubscribe(type, id, 'findRecord');
+      return payload;
+    });
+  }
+
+  /**
+   * Subscribe to the found records when the `subscribePolicy` of their model is `find-record`, the
+   * `findRecord` calls being coalesced into `findMany` with `coalesceFindRequests`
+   *
+   * @since 2.2.0
+   * @method findMany
+   * @inheritDoc
+   */
+  findMany(store, type, ids) {
+    return super.findMany(...arguments).then((payload) => {
+      ids.forEach((id) => this._scheduleSubscribe(type, id, 'findRecord'));
+      return payload;
+    });
+  }
+
   /**
    * Fetches the CSRF token
    *
@@ -100,8 +436,10 @@ export default class App extends SailsBaseAdapter {
    * @private
    */
   _fetchCSRFToken() {
-    return this.sailsSocket
-      .request('get', this.csrfTokenPath.replace(/^\/?/, '/'))
+    return this.connection
+      .request('get', this.csrfTokenPath.replace(/^\/?/, '/'), undefined, {
+        headers: this.headers,
+      })
       .then(function (tokenObject) {
         return tokenObject._csrf;
       });
@@ -119,16 +457,17 @@ export default class App extends SailsBaseAdapter {
    */
   _handleSocketRecordCreated(store, type, message) {
     const record = message.data;
-    const payload = {};
     if (!record.id && message.id) {
       record.id = message.id;
     }
-    payload[pluralize(camelize(type.modelName))] = [record];
-    store.pushPayload(type.modelName, payload);
+    this._trackLastSeen(type, record);
+    this._pushRemoteRecord(store, type, record, false);
   }
 
   /**
    * Handle a updated record message
+   * With `partialUpdates`, only the attributes and relationships present in the message are merged
+   * into the loaded record
    *
    * @since 0.0.1
    * @method _handleSocketRecordUpdated
@@ -137,12 +476,304 @@ export default class App extends SailsBaseAdapter {
    * @param {Object} message The message received
    * @private
    */
-  _handleSocketRecordUpdated() {
-    this._handleSocketRecordCreated(...arguments);
+  _handleSocketRecordUpdated(store, type, message) {
+    if (!this.partialUpdates) {
+      const record = message.data;
+      if (!record.id && message.id) {
+        record.id = message.id;
+      }
+      this._trackLastSeen(type, record);
+      this._pushRemoteRecord(store, type, record, false, true);
+      return;
+    }
+    const id = message.id != null ? message.id : (message.data || {}).id;
+    const record = store.peekRecord(type.modelName, id);
+    if (!record) {
+      // nothing to merge the changes into
+      return;
+    }
+    if (
+      this.checkPreviousOnUpdate &&
+      message.previous &&
+      this._hasDiverged(store, type, record, message)
+    ) {
+      this.trigger('didDetectDivergence', type.modelName, `${id}`, message);
+      store
+        .findRecord(type.modelName, `${id}`, { reload: true })
+        .catch((error) => {
+          warn(
+            `unable to reload ${type.modelName} ${id}: ${error.message || error}`,
+            false,
+            { id: 'ember-data-sails.divergence' },
+          );
+        });
+      return;
+    }
+    const data = Object.assign({}, message.data, { id });
+    this._trackLastSeen(type, data);
+    this._pushRemoteRecord(store, type, data, true, true);
+  }
+
+  /**
+   * Push a record received in a message, applying the `conflictPolicy` when the local record has
+   * changes
+   *
+   * @since 2.2.0
+   * @method _pushRemoteRecord
+   * @param {Store} store The store to be used
+   * @param {subclass of Model} type The type of the record
+   * @param {Object} data The record received
+   * @param {Boolean} partial Whether the data only holds the changed attributes
+   * @param {Boolean} [isUpdate=false] Whether the data comes from an `updated` message
+   * @private
+   */
+  _pushRemoteRecord(store, type, data, partial, isUpdate = false) {
+    const record = data.id != null && store.peekRecord(type.modelName, data.id);
+    if (record && !record.isNew && record.hasDirtyAttributes) {
+      switch (this.modelOption(type, 'conflictPolicy')) {
+        case 'client-wins':
+          return;
+        case 'notify':
+          this._notifyConflict(store, type, record, data, partial);
+          return;
+        case 'merge-non-dirty-attributes':
+          data = this._withoutDirtyAttributes(store, type, record, data);
+          partial = true;
+          break;
+        default:
+          record.rollbackAttributes();
+      }
+    }
+    this._applyRemoteRecord(store, type, record, data, partial, isUpdate);
+  }
+
+  /**
+   * Push a record received in a message, then trigger `recordRemotelyCreated` on the store if the
+   * record was not loaded, else `recordRemotelyUpdated` with the names of the changed attributes
+   * and relationships (all the attributes for an updated record which was not loaded)
+   *
+   * @since 2.2.0
+   * @method _applyRemoteRecord
+   * @param {Store} store The store to be used
+   * @param {subclass of Model} type The type of the record
+   * @param {Model|null} record The local record, if loaded
+   * @param {Object} data The record received
+   * @param {Boolean} partial Whether the data only holds some of the attributes
+   * @param {Boolean} [isUpdate=false] Whether the data comes from an `updated` message
+   * @private
+   */
+  _applyRemoteRecord(store, type, record, data, partial, isUpdate = false) {
+    const before = record ? this._attributesOf(type, record) : null;
+    this._pushPayload(store, type, data, partial);
+    const pushed = store.peekRecord(type.modelName, data.id);
+    if (!pushed) {
+      return;
+    }
+    if (!record) {
+      if (isUpdate) {
+        this._notifyRemoteChange(
+          store,
+          'recordRemotelyUpdated',
+          pushed,
+          Object.keys(this._attributesOf(type, pushed)),
+        );
+      } else {
+        this._notifyRemoteChange(store, 'recordRemotelyCreated', pushed);
+      }
+      return;
+    }
+    const serializer = store.serializerFor(type.modelName);
+    const changed = Object.keys(before).filter(
+      (name) => !sameValue(before[name], pushed[name]),
+    );
+    type.eachRelationship((name, relationship) => {
+      if (
+        serializer.keyForRelationship(name, relationship.kind, 'deserialize') in
+        data
+      ) {
+        changed.push(name);
+      }
+    });
+    if (changed.length) {
+      this._notifyRemoteChange(store, 'recordRemotelyUpdated', pushed, changed);
+    }
+  }
+
+  /**
+   * Unload a record destroyed in Sails, triggering `recordRemotelyDeleted` on the store first
+   *
+   * @since 2.2.0
+   * @method _removeRemoteRecord
+   * @param {Store} store The store to be used
+   * @param {Model} record The local record
+   * @private
+   */
+  _removeRemoteRecord(store, record) {
+    this._notifyRemoteChange(store, 'recordRemotelyDeleted', record);
+    record.unloadRecord();
+  }
+
+  /**
+   * Update the `lastRemoteChangeAt` of a record and trigger the given event on the store
+   *
+   * @since 2.2.0
+   * @method _notifyRemoteChange
+   * @param {Store} store The store to be used
+   * @param {String} event The name of the event
+   * @param {Model} record The changed record
+   * @param {mixed} ...args The other arguments of the event
+   * @private
+   */
+  _notifyRemoteChange(store, event, record, ...args) {
+    remoteStateFor(record).lastRemoteChangeAt = Date.now();
+    if (typeof store.trigger === 'function') {
+      store.trigger(event, record, ...args);
+    }
+  }
+
+  /**
+   * Get the current values of the attributes of a record
+   *
+   * @since 2.2.0
+   * @method _attributesOf
+   * @param {subclass of Model} type The type of the record
+   * @param {Model} record The record
+   * @return {Object}
+   * @private
+   */
+  _attributesOf(type, record) {
+    const attributes = {};
+    type.eachAttribute((name) => {
+      attributes[name] = record[name];
+    });
+    return attributes;
+  }
+
+  /**
+   * Push the data of one record in the store
+   *
+   * @since 2.2.0
+   * @method _pushPayload
+   * @param {Store} store The store to be used
+   * @param {subclass of Model} type The type of the record
+   * @param {Object} data The record received
+   * @param {Boolean} partial Whether the data only holds some of the attributes
+   * @private
+   */
+  _pushPayload(store, type, data, partial) {
+    const old = this.isPushingPartial;
+    this.isPushingPartial = !!partial;
+    try {
+      store.pushPayload(type.modelName, {
+        [pluralize(camelize(type.modelName))]: [data],
+      });
+    } finally {
+      this.isPushingPartial = old;
+    }
+  }
+
+  /**
+   * Copy the given data of a record without the attributes having local changes
+   *
+   * @since 2.2.0
+   * @method _withoutDirtyAttributes
+   * @param {Store} store The store to be used
+   * @param {subclass of Model} type The type of the record
+   * @param {Model} record The local record
+   * @param {Object} data The record received
+   * @return {Object}
+   * @private
+   */
+  _withoutDirtyAttributes(store, type, record, data) {
+    const serializer = store.serializerFor(type.modelName);
+    const copy = Object.assign({}, data);
+    Object.keys(record.changedAttributes()).forEach((name) => {
+      delete copy[serializer.keyForAttribute(name, 'deserialize')];
+    });
+    return copy;
+  }
+
+  /**
+   * Trigger a `conflict` event on the store, with the local and remote versions of a record and
+   * functions to resolve the conflict
+   *
+   * @since 2.2.0
+   * @method _notifyConflict
+   * @param {Store} store The store to be used
+   * @param {subclass of Model} type The type of the record
+   * @param {Model} record The local record
+   * @param {Object|null} data The record received, `null` if it has been destroyed
+   * @param {Boolean} [partial] Whether the data only holds the changed attributes
+   * @private
+   */
+  _notifyConflict(store, type, record, data, partial) {
+    const local = this._attributesOf(type, record);
+    const conflict = {
+      modelName: type.modelName,
+      id: record.id,
+      record,
+      local,
+      remote: data,
+      isDeleted: !data,
+      changedAttributes: record.changedAttributes(),
+      // apply the message, dropping the local changes
+      acceptRemote: () => {
+        record.rollbackAttributes();
+        if (data) {
+          this._applyRemoteRecord(store, type, record, data, partial);
+        } else {
+          this._removeRemoteRecord(store, record);
+        }
+      },
+      // apply the message to the attributes without local changes
+      mergeRemote: () => {
+        if (data) {
+          this._applyRemoteRecord(
+            store,
+            type,
+            record,
+            this._withoutDirtyAttributes(store, type, record, data),
+            true,
+          );
+        }
+      },
+    };
+    if (typeof store.trigger === 'function') {
+      store.trigger('conflict', conflict);
+    }
+  }
+
+  /**
+   * Whether the `previous` values of an `updated` message differ from the values the local record
+   * had before its own changes, meaning some messages have been missed
+   *
+   * @since 2.2.0
+   * @method _hasDiverged
+   * @param {Store} store The store to be used
+   * @param {subclass of Model} type The type of the record
+   * @param {Model} record The local record
+   * @param {Object} message The message received
+   * @return {Boolean}
+   * @private
+   */
+  _hasDiverged(store, type, record, message) {
+    const serializer = store.serializerFor(type.modelName);
+    const changed = record.changedAttributes();
+    const previous = message.previous;
+    let diverged = false;
+    type.eachAttribute((name) => {
+      const key = serializer.keyForAttribute(name, 'deserialize');
+      if (!diverged && key in message.data && key in previous) {
+        const local = changed[name] ? changed[name][0] : record[name];
+        diverged = !sameValue(local, previous[key]);
+      }
+    });
+    return diverged;
   }
 
   /**
    * Handle a destroyed record message
+   * With `softDeletes`, the record is only marked as remotely deleted
    *
    * @since 0.0.1
    * @method _handleSocketRecordDeleted
@@ -153,9 +784,344 @@ export default class App extends SailsBaseAdapter {
    */
   _handleSocketRecordDeleted(store, type, message) {
     const record = store.peekRecord(type.modelName, message.id);
-    if (record && typeof record.get('dirtyType') === 'undefined') {
-      record.unloadRecord();
+    if (!record) {
+      return;
+    }
+    if (
+      this.modelOption(type, 'softDeletes') &&
+      typeof store.markRemotelyDeleted === 'function'
+    ) {
+      // even with local changes, so that they are not kept for a record which does not exist
+      if (!remoteStateFor(record).isRemotelyDeleted) {
+        store.markRemotelyDeleted(record);
+        this._notifyRemoteChange(store, 'recordRemotelyDeleted', record);
+      }
+      return;
+    }
+    if (record.hasDirtyAttributes && !record.isNew) {
+      switch (this.modelOption(type, 'conflictPolicy')) {
+        case 'server-wins':
+          record.rollbackAttributes();
+          break;
+        case 'notify':
+          this._notifyConflict(store, type, record, null);
+          return;
+        default:
+          // keep the record and its local changes
+          return;
+      }
+    }
+    this._removeRemoteRecord(store, record);
+  }
+
+  /**
+   * Handle a message telling that records have been added to a collection association
+   * (`addedIds` with Sails 1.x, `addedId` and `added` with Sails 0.x)
+   *
+   * @since 2.2.0
+   * @method _handleSocketRecordAddedTo
+   * @param {Store} store The store to be used
+   * @param {subclass of Model} type The type of the parent record
+   * @param {Object} message The message received
+   * @private
+   */
+  _handleSocketRecordAddedTo(store, type, message) {
+    const ids = [].concat(message.addedIds || message.addedId || []);
+    this._updateSocketAssociation(store, type, message, ids, []);
+  }
+
+  /**
+   * Handle a message telling that records have been removed from a collection association
+   * (`removedIds` with Sails 1.x, `removedId` with Sails 0.x)
+   *
+   * @since 2.2.0
+   * @method _handleSocketRecordRemovedFrom
+   * @param {Store} store The store to be used
+   * @param {subclass of Model} type The type of the parent record
+   * @param {Object} message The message received
+   * @private
+   */
+  _handleSocketRecordRemovedFrom(store, type, message) {
+    const ids = [].concat(message.removedIds || message.removedId || []);
+    this._updateSocketAssociation(store, type, message, [], ids);
+  }
+
+  /**
+   * Update the `hasMany` relationship of a loaded record matching the `attribute` of an `addedTo`
+   * or `removedFrom` message, as if it came from the server. The added records which are not
+   * loaded yet are fetched (and so subscribed)
+   *
+   * @since 2.2.0
+   * @method _updateSocketAssociation
+   * @param {Store} store The store to be used
+   * @param {subclass of Model} type The type of the parent record
+   * @param {Object} message The message received
+   * @param {Array<String|Number>} addedIds The IDs of the added records
+   * @param {Array<String|Number>} removedIds The IDs of the removed records
+   * @private
+   */
+  _updateSocketAssociation(store, type, message, addedIds, removedIds) {
+    const parent = store.peekRecord(type.modelName, message.id);
+    if (!parent) {
+      return;
+    }
+    const serializer = store.serializerFor(type.modelName);
+    let relationship;
+    type.eachRelationship((key, meta) => {
+      if (
+        meta.kind === 'hasMany' &&
+        !relationship &&
+        (key === message.attribute ||
+          serializer.keyForRelationship(key, 'hasMany', 'deserialize') ===
+            message.attribute)
+      ) {
+        relationship = meta;
+      }
+    });
+    if (!relationship) {
+      warn(
+        `no hasMany relationship ${message.attribute} on ${type.modelName}`,
+        false,
+        { id: 'ember-data-sails.association' },
+      );
+      return;
+    }
+    const key = relationship.key;
+    const relatedModelName = relationship.type;
+    const remote = ((this._associations[type.modelName] || {})[
+      `${message.id}`
+    ] || {})[key];
+    const removed = removedIds.map((id) => `${id}`);
+    // start from the IDs known by Sails when we have them, else from the current ones
+    const ids = (remote || parent.hasMany(key).ids())
+      .map((id) => `${id}`)
+      .filter((id) => !removed.includes(id))
+      .concat(addedIds.map((id) => `${id}`))
+      .filter((id, index, all) => all.indexOf(id) === index);
+
+    if (message.added && addedIds.length === 1) {
+      // Sails 0.x sends the added record along
+      this._handleSocketRecordCreated(store, store.modelFor(relatedModelName), {
+        id: addedIds[0],
+        data: Object.assign({}, message.added),
+      });
+    }
+    addedIds.forEach((id) => {
+      if (!store.peekRecord(relatedModelName, id)) {
+        store.findRecord(relatedModelName, `${id}`).catch((error) => {
+          warn(
+            `unable to load the added ${relatedModelName} ${id}: ${error.message || error}`,
+            false,
+            { id: 'ember-data-sails.association' },
+          );
+        });
+      }
+    });
+
+    this.rememberAssociation(type.modelName, message.id, key, ids);
+    store.push({
+      data: {
+        id: `${message.id}`,
+        type: type.modelName,
+        relationships: {
+          [key]: {
+            data: ids.map((id) => ({ id, type: relatedModelName })),
+          },
+        },
+      },
+    });
+    this._notifyRemoteChange(store, 'recordRemotelyUpdated', parent, [key]);
+  }
+
+  /**
+   * Handles the connection of the socket, replaying the subscriptions and the watches if it was a
+   * reconnect
+   *
+   * @since 2.2.0
+   * @method _handleSocketConnect
+   * @return {Promise} Resolves once everything has been replayed
+   * @private
+   */
+  _handleSocketConnect() {
+    if (this._needsResubscribe) {
+      this._needsResubscribe = false;
+      return this._resubscribe()
+        .then(() => this._rewatch())
+        .then(() => {
+          if (this.resyncOnReconnect) {
+            return this._resync();
+          }
+        });
     }
+    return Promise.resolve();
+  }
+
+  /**
+   * Handles the disconnection of the socket, the server will forget about our subscriptions
+   *
+   * @since 2.2.0
+   * @method _handleSocketDisconnect
+   * @private
+   */
+  _handleSocketDisconnect() {
+    if (this._subscriptions || this._watches) {
+      this._needsResubscribe = true;
+      if (!this._disconnectedAt) {
+        this._disconnectedAt = Date.now();
+      }
+    }
+  }
+
+  /**
+   * Remember the highest `resyncField` value seen for the given type
+   *
+   * @since 2.2.0
+   * @method _trackLastSeen
+   * @param {subclass of Model} type The type of the record
+   * @param {Object} record The record data received in a message
+   * @private
+   */
+  _trackLastSeen(type, record) {
+    const value = record[this.resyncField];
+    if (value == null) {
+      return;
+    }
+    const key = camelize(type.modelName);
+    if (!this._lastSeen) {
+      this._lastSeen = {};
+    }
+    if (this._lastSeen[key] == null || value > this._lastSeen[key]) {
+      this._lastSeen[key] = value;
+    }
+  }
+
+  /**
+   * Re-query all the subscribed records which changed while disconnected, push them in the store
+   * and unload the ones the server does not return anymore
+   *
+   * @since 2.2.0
+   * @method _resync
+   * @return {Promise} Resolves to the counts of updated and deleted records by model
+   * @private
+   */
+  _resync() {
+    const subscriptions = this._subscriptions || {};
+    const since = this._disconnectedAt;
+    const counts = {};
+    this._disconnectedAt = null;
+    return Promise.all(
+      Object.keys(subscriptions).map((key) => {
+        const lastSeen = this._lastSeen && this._lastSeen[key];
+        return this._resyncModel(
+          key,
+          Object.keys(subscriptions[key]),
+          // the last value seen comes from the server, unlike the time of the disconnection
+          lastSeen == null ? since - (this.resyncSafetyMargin || 0) : lastSeen,
+        ).then(
+          (count) => {
+            counts[key] = count;
+          },
+          (error) => {
+            warn(`error when trying to resync records of type ${key}`, false, {
+              id: 'ember-data-sails.resync',
+            });
+            counts[key] = { updated: 0, deleted: 0, error };
+          },
+        );
+      }),
+    ).then(() => {
+      this.trigger('didResync', counts);
+      return counts;
+    });
+  }
+
+  /**
+   * Resync the given records of one model, in batches of `subscribeBatchSize` IDs
+   *
+   * @since 2.2.0
+   * @method _resyncModel
+   * @param {String} key The camelized model name
+   * @param {Array<String>} ids The IDs of the subscribed records
+   * @param {mixed} since The `resyncField` value after which records are considered changed
+   * @return {Promise} Resolves to the count of updated and deleted records
+   * @private
+   */
+  _resyncModel(key, ids, since) {
+    const store = this.store;
+    const type = store.modelFor(key);
+    const url = this.buildURL(type.modelName);
+    const batchSize = this.subscribeBatchSize || ids.length;
+    const count = { updated: 0, deleted: 0 };
+    let promise = Promise.resolve();
+    for (let i = 0; i < ids.length; i += batchSize) {
+      const batch = ids.slice(i, i + batchSize);
+      promise = promise
+        .then(() =>
+          Promise.all([
+            this.ajax(url, 'GET', {
+              data: {
+                where: JSON.stringify({
+                  id: { in: batch },
+                  [this.resyncField]: { '>': since },
+                }),
+                limit: batch.length,
+              },
+            }),
+            this.ajax(url, 'GET', {
+              data: {
+                where: JSON.stringify({ id: { in: batch } }),
+                select: 'id',
+                limit: batch.length,
+              },
+            }),
+          ]),
+        )
+        .then(([changedPayload, existingPayload]) => {
+          const changed = this._recordsOfPayload(key, changedPayload);
+          const existingIds = this._recordsOfPayload(key, existingPayload).map(
+            (record) => '' + record.id,
+          );
+          if (changed.length) {
+            changed.forEach((record) => this._trackLastSeen(type, record));
+            // a wrapped payload may hold sideloaded records too
+            store.pushPayload(
+              type.modelName,
+              Array.isArray(changedPayload)
+                ? { [pluralize(key)]: changed }
+                : changedPayload,
+            );
+            count.updated += changed.length;
+          }
+          batch.forEach((id) => {
+            if (!existingIds.includes(id)) {
+              this.releaseRecordSubscriptions(type, [id]);
+              this._handleSocketRecordDeleted(store, type, { id });
+              count.deleted++;
+            }
+          });
+        });
+    }
+    return promise.then(() => count);
+  }
+
+  /**
+   * Get the records of the given model from a response payload, which is an array with the
+   * blueprints of Sails, or an object holding them under the plural or singular model name with
+   * the blueprints of sails-generate-ember-blueprints
+   *
+   * @since 2.2.0
+   * @method _recordsOfPayload
+   * @param {String} key The camelized model name
+   * @param {Array|Object} payload
+   * @return {Array<Object>}
+   * @private
+   */
+  _recordsOfPayload(key, payload) {
+    if (Array.isArray(payload)) {
+      return payload;
+    }
+    const records = payload && (payload[pluralize(key)] || payload[key]);
+    return records ? [].concat(records) : [];
   }
 
   /**
@@ -168,7 +1134,7 @@ export default class App extends SailsBaseAdapter {
    */
   _listenToSocket(model) {
     const eventName = camelize(model).toLowerCase();
-    const socket = this.sailsSocket;
+    const socket = this.connection;
     if (socket.listenFor(eventName, true)) {
       this.notice(`setting up adapter to listen for ${model} messages`);
       const store = this.store;
@@ -185,34 +1151,245 @@ export default class App extends SailsBaseAdapter {
         eventName + '.destroyed',
         bind(this, '_handleSocketRecordDeleted', store, type),
       );
+      socket.on(
+        eventName + '.addedTo',
+        bind(this, '_handleSocketRecordAddedTo', store, type),
+      );
+      socket.on(
+        eventName + '.removedFrom',
+        bind(this, '_handleSocketRecordRemovedFrom', store, type),
+      );
     }
   }
 
   /**
-   * Schedule a record subscription
+   * Schedule a record subscription, held by the record itself until it is unloaded, if the
+   * `subscribePolicy` of its model allows it
    *
    * @since 0.0.11
    * @method _scheduleSubscribe
    * @param {subclass of Model} type
    * @param {String|Number} id
+   * @param {String} [source='push'] `push` when the record is pushed into the store, `findRecord`
+   * when it has been found with `findRecord`
    * @private
    */
-  _scheduleSubscribe(type, id) {
-    if (id && this.shouldSubscribe(type, id)) {
+  _scheduleSubscribe(type, id, source = 'push') {
+    const policy = this.modelOption(type, 'subscribePolicy');
+    const allowed =
+      policy === 'always' ||
+      (policy === 'find-record' && source === 'findRecord');
+    if (id && allowed && this.shouldSubscribe(type, id)) {
+      const key = camelize(type.modelName);
+      if (!this._recordSubscriptions) {
+        this._recordSubscriptions = {};
+      }
+      if (!this._recordSubscriptions[key]) {
+        this._recordSubscriptions[key] = {};
+      }
+      id = '' + id;
+      if (!this._recordSubscriptions[key][id]) {
+        this._recordSubscriptions[key][id] = true;
+        this._addSubscriptions(key, [id]);
+      }
+    }
+  }
+
+  /**
+   * Subscribe to the given records, adding a reference to their subscription which must be removed
+   * with `unsubscribe` once they are not needed anymore
+   *
+   * @since 2.2.0
+   * @method subscribe
+   * @param {subclass of Model} type
+   * @param {Array<String|Number>} ids
+   * @return {Promise} Resolves once the API acknowledged the subscriptions, rejects with its error
+   */
+  subscribe(type, ids) {
+    const key = camelize(type.modelName);
+    ids = ids.filter((id) => id != null).map((id) => '' + id);
+    this._addSubscriptions(key, ids);
+    return Promise.all(
+      ids.map((id) => this._subscriptionPromiseFor(key, id)),
+    ).then(() => undefined);
+  }
+
+  /**
+   * Remove a reference to the subscription of the given records, unsubscribing from the ones which
+   * are not referenced anymore
+   *
+   * @since 2.2.0
+   * @method unsubscribe
+   * @param {subclass of Model} type
+   * @param {Array<String|Number>} ids
+   */
+  unsubscribe(type, ids) {
+    this._removeSubscriptions(
+      camelize(type.modelName),
+      ids.filter((id) => id != null).map((id) => '' + id),
+    );
+  }
+
+  /**
+   * Remove the references held by unloaded records to their own subscription
+   *
+   * @since 2.2.0
+   * @method releaseRecordSubscriptions
+   * @param {subclass of Model} type
+   * @param {Array<String|Number>} [ids] The IDs of the unloaded records, all of them if not given
+   */
+  releaseRecordSubscriptions(type, ids) {
+    const key = camelize(type.modelName);
+    const held = (this._recordSubscriptions || {})[key];
+    if (!held) {
+      return;
+    }
+    const released = (
+      ids ? ids.map((id) => '' + id) : Object.keys(held)
+    ).filter((id) => held[id]);
+    released.forEach((id) => delete held[id]);
+    this._removeSubscriptions(key, released);
+  }
+
+  /**
+   * Remove the references held by all the records to their own subscription, when all the records
+   * are unloaded
+   *
+   * @since 2.2.0
+   * @method releaseAllRecordSubscriptions
+   */
+  releaseAllRecordSubscriptions() {
+    Object.keys(this._recordSubscriptions || {}).forEach((key) => {
+      const held = this._recordSubscriptions[key];
+      const released = Object.keys(held);
+      this._recordSubscriptions[key] = {};
+      this._removeSubscriptions(key, released);
+    });
+  }
+
+  /**
+   * Get the subscribed records of the given model, or of all models
+   *
+   * @since 2.2.0
+   * @method subscriptionsFor
+   * @param {subclass of Model} [type]
+   * @return {Object} The number of references to each subscription by ID, or by camelized model
+   * name then ID when no type is given
+   */
+  subscriptionsFor(type) {
+    const subscriptions = this._subscriptions || {};
+    if (type) {
+      return Object.assign({}, subscriptions[camelize(type.modelName)]);
+    }
+    return Object.keys(subscriptions).reduce((all, key) => {
+      if (Object.keys(subscriptions[key]).length) {
+        all[key] = Object.assign({}, subscriptions[key]);
+      }
+      return all;
+    }, {});
+  }
+
+  /**
+   * Add a reference to the subscription of the given records, scheduling the subscription of the
+   * ones which were not referenced
+   *
+   * @since 2.2.0
+   * @method _addSubscriptions
+   * @param {String} key The camelized model name
+   * @param {Array<String>} ids
+   * @private
+   */
+  _addSubscriptions(key, ids) {
+    this._rememberSubscriptions(key, ids).forEach((id) => {
+      const unsubscriptions = (this._scheduledUnsubscriptions || {})[key];
+      if (unsubscriptions && id in unsubscriptions) {
+        // the unsubscription has not been sent yet, so we're still subscribed
+        delete unsubscriptions[id];
+        return;
+      }
       if (!this._scheduledSubscriptions) {
         this._scheduledSubscriptions = {};
       }
       // use an object and keys so that we don't have duplicate IDs
-      let key = camelize(type.modelName);
       if (!this._scheduledSubscriptions[key]) {
         this._scheduledSubscriptions[key] = {};
       }
-      id = '' + id;
-      if (!this._scheduledSubscriptions[key][id]) {
-        this._scheduledSubscriptions[key][id] = 0;
-        debounce(this, '_subscribeScheduled', 50);
+      this._scheduledSubscriptions[key][id] = 0;
+      debounce(this, '_subscribeScheduled', this.subscribeDebounce);
+    });
+  }
+
+  /**
+   * Get the promise of the subscription to a record: the one of the scheduled subscriptions if it
+   * has not been sent yet, the one of its request if the API did not answer yet, or a resolved one
+   *
+   * @since 2.2.0
+   * @method _subscriptionPromiseFor
+   * @param {String} key The camelized model name
+   * @param {String} id
+   * @return {Promise}
+   * @private
+   */
+  _subscriptionPromiseFor(key, id) {
+    const scheduled = (this._scheduledSubscriptions || {})[key];
+    if (scheduled && id in scheduled) {
+      if (!this._subscriptionWaiters) {
+        this._subscriptionWaiters = {};
       }
+      const waiters = (this._subscriptionWaiters[key] =
+        this._subscriptionWaiters[key] || {});
+      if (!waiters[id]) {
+        const waiter = {};
+        waiter.promise = new Promise((resolve, reject) => {
+          waiter.resolve = resolve;
+          waiter.reject = reject;
+        });
+        waiters[id] = waiter;
+      }
+      return waiters[id].promise;
     }
+    const pending = (this._pendingSubscriptions || {})[key];
+    return (pending && pending[id]) || Promise.resolve();
+  }
+
+  /**
+   * Remove a reference to the subscription of the given records, scheduling the unsubscription of
+   * the ones which are not referenced anymore
+   *
+   * @since 2.2.0
+   * @method _removeSubscriptions
+   * @param {String} key The camelized model name
+   * @param {Array<String>} ids
+   * @private
+   */
+  _removeSubscriptions(key, ids) {
+    const subscriptions = (this._subscriptions || {})[key];
+    if (!subscriptions) {
+      return;
+    }
+    ids.forEach((id) => {
+      if (!subscriptions[id]) {
+        return;
+      }
+      if (--subscriptions[id] > 0) {
+        return;
+      }
+      delete subscriptions[id];
+      const scheduled = (this._scheduledSubscriptions || {})[key];
+      if (scheduled && id in scheduled) {
+        // the subscription has not been sent yet, no need to unsubscribe
+        delete scheduled[id];
+        return;
+      }
+      if (!this._scheduledUnsubscriptions) {
+        this._scheduledUnsubscriptions = {};
+      }
+      if (!this._scheduledUnsubscriptions[key]) {
+        this._scheduledUnsubscriptions[key] = {};
+      }
+      this._scheduledUnsubscriptions[key][id] = 0;
+      debounce(this, '_unsubscribeScheduled', this.subscribeDebounce);
+    });
   }
 
   /**
@@ -225,40 +1402,384 @@ export default class App extends SailsBaseAdapter {
   _subscribeScheduled() {
     if (this._scheduledSubscriptions) {
       // grab and delete our scheduled subscriptions
-      let opt = {
-        subscribeMethod: this.subscribeMethod,
-        subscribeEndpoint: this.subscribeEndpoint,
-      };
       let data = this._scheduledSubscriptions;
+      const waiters = this._subscriptionWaiters || {};
       this._scheduledSubscriptions = null;
-      const payload = {};
-      // the IDs are the keys so that set both the same will not duplicate them, we need to reduce them
+      this._subscriptionWaiters = null;
+      // the IDs are the keys so that set both the same will not duplicate them
       for (let k in data) {
-        payload[k] = Object.keys(data[k]);
-        this._listenToSocket(k);
+        if (Object.keys(data[k]).length) {
+          this._listenToSocket(k);
+        }
       }
+      this._batchesOf(data).forEach((batch) => {
+        const sent = this._sendSubscriptions(batch);
+        this._setPendingSubscriptions(batch, sent);
+        // failures are already warned about, and given to the ones waiting for them
+        sent
+          .catch(() => null)
+          .then(() => this._setPendingSubscriptions(batch, null));
+      });
+      // settle each waiter with the request of its own batch, the ones which subscription has been
+      // cancelled have nothing to wait for
+      for (let k in waiters) {
+        const pending = (this._pendingSubscriptions || {})[k] || {};
+        for (let id in waiters[k]) {
+          (pending[id] || Promise.resolve()).then(
+            waiters[k][id].resolve,
+            waiters[k][id].reject,
+          );
+        }
+      }
+    }
+  }
 
-      if (opt.subscribeEndpoint && opt.subscribeMethod) {
-        debug(
-          `asking the API to subscribe to some records of type ${Object.keys(
-            data,
-          ).join(', ')}`,
-        );
-        // ask the API to subscribe to those records
-        this.fetchCSRFToken().then(() => {
-          this.checkCSRF(payload);
-          this.sailsSocket
-            .request(opt.subscribeMethod, opt.subscribeEndpoint, payload)
-            .then((result) => {
-              debug('subscription successful, result:', result);
-            })
-            .catch((/* jwr */) => {
-              warn('error when trying to subscribe to some model(s)', false, {
-                id: 'ember-data-sails.subscribe',
-              });
-            });
-        });
+  /**
+   * Set or clear the promise of the request subscribing to the given records
+   *
+   * @since 2.2.0
+   * @method _setPendingSubscriptions
+   * @param {Object} payload The IDs by camelized model name
+   * @param {Promise|null} promise
+   * @private
+   */
+  _setPendingSubscriptions(payload, promise) {
+    if (!this._pendingSubscriptions) {
+      this._pendingSubscriptions = {};
+    }
+    for (let k in payload) {
+      const pending = (this._pendingSubscriptions[k] =
+        this._pendingSubscriptions[k] || {});
+      payload[k].forEach((id) => {
+        if (promise) {
+          pending[id] = promise;
+        } else {
+          delete pending[id];
+        }
+      });
+    }
+  }
+
+  /**
+   * Ask the API to unsubscribe
+   *
+   * @since 2.2.0
+   * @method _unsubscribeScheduled
+   * @private
+   */
+  _unsubscribeScheduled() {
+    if (this._scheduledUnsubscriptions) {
+      const data = this._scheduledUnsubscriptions;
+      this._scheduledUnsubscriptions = null;
+      this._batchesOf(data).forEach((batch) => {
+        // failures are already warned about
+        this._sendUnsubscriptions(batch).catch(() => null);
+      });
+    }
+  }
+
+  /**
+   * Add a reference to the subscription of the given records in the registry
+   *
+   * @since 2.2.0
+   * @method _rememberSubscriptions
+   * @param {String} key The camelized model name
+   * @param {Array<String>} ids The IDs of the subscribed records
+   * @return {Array<String>} The IDs which were not referenced yet
+   * @private
+   */
+  _rememberSubscriptions(key, ids) {
+    this._setupConnection();
+    if (typeof this.store._trackSubscribingAdapter === 'function') {
+      this.store._trackSubscribingAdapter(this);
+    }
+    if (!this._subscriptions) {
+      this._subscriptions = {};
+    }
+    if (!this._subscriptions[key]) {
+      this._subscriptions[key] = {};
+    }
+    const subscriptions = this._subscriptions[key];
+    return ids.filter((id) => {
+      subscriptions[id] = (subscriptions[id] || 0) + 1;
+      return subscriptions[id] === 1;
+    });
+  }
+
+  /**
+   * Watch the creation of the records of the given model, so that the new records are pushed into
+   * the store. Each call adds a reference to the watch, which must be removed with `unwatch`
+   *
+   * @since 2.2.0
+   * @method watch
+   * @param {subclass of Model} type
+   * @return {Promise} Resolves once the API acknowledged the watch, rejects with its error
+   */
+  watch(type) {
+    const key = camelize(type.modelName);
+    this._setupConnection();
+    if (!this._watches) {
+      this._watches = {};
+    }
+    let watch = this._watches[key];
+    if (watch) {
+      watch.count++;
+    } else {
+      this._listenToSocket(key);
+      watch = this._watches[key] = { count: 1 };
+      watch.promise = this._sendWatches({ [key]: true }).catch((error) => {
+        // forget the failed watch so that the next call tries again
+        if (this._watches && this._watches[key] === watch) {
+          delete this._watches[key];
+        }
+        throw error;
+      });
+    }
+    return watch.promise;
+  }
+
+  /**
+   * Remove a reference added with `watch`, asking the API to stop watching the creation of the
+   * records of the given model once it is not referenced anymore
+   *
+   * @since 2.2.0
+   * @method unwatch
+   * @param {subclass of Model} type
+   * @return {Promise} Resolves once the API acknowledged the unwatch if one has been sent
+   */
+  unwatch(type) {
+    const key = camelize(type.modelName);
+    const watch = (this._watches || {})[key];
+    if (!watch || --watch.count > 0) {
+      return Promise.resolve();
+    }
+    delete this._watches[key];
+    return this._sendSubscriptionRequest(
+      this.unwatchMethod,
+      this.unwatchEndpoint,
+      { [key]: true },
+      'unwatch',
+    );
+  }
+
+  /**
+   * Whether the creation of the records of the given model is watched
+   *
+   * @since 2.2.0
+   * @method isWatching
+   * @param {subclass of Model} type
+   * @return {Boolean}
+   */
+  isWatching(type) {
+    return !!(this._watches && this._watches[camelize(type.modelName)]);
+  }
+
+  /**
+   * Replay all the watches after a reconnect
+   *
+   * @since 2.2.0
+   * @method _rewatch
+   * @return {Promise}
+   * @private
+   */
+  _rewatch() {
+    const keys = Object.keys(this._watches || {});
+    if (!keys.length) {
+      return Promise.resolve();
+    }
+    const payload = {};
+    keys.forEach((key) => {
+      payload[key] = true;
+    });
+    // failures are already warned about
+    return this._sendWatches(payload).catch(() => null);
+  }
+
+  /**
+   * Send the given watches to the API using `watchMethod` and `watchEndpoint`
+   *
+   * @since 2.2.0
+   * @method _sendWatches
+   * @param {Object} payload `true` by camelized model name
+   * @return {Promise}
+   * @private
+   */
+  _sendWatches(payload) {
+    return this._sendSubscriptionRequest(
+      this.watchMethod,
+      this.watchEndpoint,
+      payload,
+      'watch',
+    );
+  }
+
+  /**
+   * Replay all the known subscriptions, in batches of `subscribeBatchSize` IDs
+   *
+   * @since 2.2.0
+   * @method _resubscribe
+   * @return {Promise} Resolves once all the batches have been sent
+   * @private
+   */
+  _resubscribe() {
+    const subscriptions = this._subscriptions;
+    const batches = this._batchesOf(subscriptions);
+    debug(`re-subscribing to records in ${batches.length} batch(es)`);
+    return batches
+      .reduce(
+        (promise, batch) =>
+          promise.then(() => this._sendSubscriptions(batch).catch(() => null)),
+        Promise.resolve(),
+      )
+      .then(() => {
+        this.trigger('didResubscribe', subscriptions);
+      });
+  }
+
+  /**
+   * Split record IDs into batches of `subscribeBatchSize` IDs
+   *
+   * @since 2.2.0
+   * @method _batchesOf
+   * @param {Object} data Objects with the IDs as keys, by camelized model name
+   * @return {Array<Object>} The batches, with the IDs by camelized model name
+   * @private
+   */
+  _batchesOf(data) {
+    const batchSize = this.subscribeBatchSize || Infinity;
+    const batches = [];
+    let batch = {};
+    let count = 0;
+    for (let k in data) {
+      for (let id in data[k]) {
+        if (count >= batchSize) {
+          batches.push(batch);
+          batch = {};
+          count = 0;
+        }
+        if (!batch[k]) {
+          batch[k] = [];
+        }
+        batch[k].push(id);
+        count++;
+      }
+    }
+    if (count) {
+      batches.push(batch);
+    }
+    return batches;
+  }
+
+  /**
+   * Send the given subscriptions to the API using `subscribeMethod` and `subscribeEndpoint`, then
+   * trigger `didSubscribe` or `didFailSubscribe` on the store for each model
+   *
+   * @since 2.2.0
+   * @method _sendSubscriptions
+   * @param {Object} payload The IDs to subscribe to, by camelized model name
+   * @return {Promise}
+   * @private
+   */
+  _sendSubscriptions(payload) {
+    return this._sendSubscriptionRequest(
+      this.subscribeMethod,
+      this.subscribeEndpoint,
+      payload,
+      'subscribe',
+    ).then(
+      (result) => {
+        this._notifySubscriptions('didSubscribe', payload);
+        return result;
+      },
+      (error) => {
+        this._notifySubscriptions('didFailSubscribe', payload, error);
+        throw error;
+      },
+    );
+  }
+
+  /**
+   * Trigger a subscription event on the store for each model of the given payload, with the model
+   * name and the IDs (and the error for `didFailSubscribe`)
+   *
+   * @since 2.2.0
+   * @method _notifySubscriptions
+   * @param {String} event
+   * @param {Object} payload The IDs by camelized model name
+   * @param {Error} [error]
+   * @private
+   */
+  _notifySubscriptions(event, payload, error) {
+    const store = this.store;
+    if (typeof store.trigger !== 'function') {
+      return;
+    }
+    for (let k in payload) {
+      const args = [store.modelFor(k).modelName, payload[k]];
+      if (error) {
+        args.push(error);
       }
+      store.trigger(event, ...args);
     }
   }
+
+  /**
+   * Send the given unsubscriptions to the API using `unsubscribeMethod` and `unsubscribeEndpoint`
+   *
+   * @since 2.2.0
+   * @method _sendUnsubscriptions
+   * @param {Object} payload The IDs to unsubscribe from, by camelized model name
+   * @return {Promise}
+   * @private
+   */
+  _sendUnsubscriptions(payload) {
+    return this._sendSubscriptionRequest(
+      this.unsubscribeMethod,
+      this.unsubscribeEndpoint,
+      payload,
+      'unsubscribe',
+    );
+  }
+
+  /**
+   * Send a subscription related request to the API
+   *
+   * @since 2.2.0
+   * @method _sendSubscriptionRequest
+   * @param {String} method The method of the request
+   * @param {String} endpoint The path of the request
+   * @param {Object} payload The IDs by camelized model name
+   * @param {String} action `subscribe` or `unsubscribe`, used in the logs
+   * @return {Promise} Rejects with the error of the request
+   * @private
+   */
+  _sendSubscriptionRequest(method, endpoint, payload, action) {
+    if (!endpoint || !method) {
+      return Promise.resolve(null);
+    }
+    debug(
+      `asking the API to ${action} to some records of type ${Object.keys(
+        payload,
+      ).join(', ')}`,
+    );
+    // ask the API to (un)subscribe to those records
+    return this.fetchCSRFToken().then(() => {
+      // the payload is also used to notify and settle the subscriptions, keep it as is
+      const data = this.checkCSRF(Object.assign({}, payload));
+      return this.connection
+        .request(method, endpoint, data, {
+          headers: this.headers,
+        })
+        .then((result) => {
+          debug(`${action} successful, result:`, result);
+          return result;
+        })
+        .catch((error) => {
+          warn(`error when trying to ${action} to some model(s)`, false, {
+            id: `ember-data-sails.${action}`,
+          });
+          throw error;
+        });
+    });
+  }
 }
@@ -0,0 +1,108 @@
+/**
+ * Parsers turning the error payloads of Sails into per-attribute errors.
+ * Each parser is given the body of the response, and returns a hash of error messages by attribute
+ * name (`base` for the errors which are not related to an attribute), or `null` if it does not
+ * recognize the payload.
+ *
+ * @module error-parsers
+ */
+
+/**
+ * Extract the name of the attribute from a Sails 1.x problem, which quotes it with backticks
+ *
+ * @param {String} problem The description of the problem
+ * @return {String}
+ */
+function attributeOf(problem) {
+  const match = /`([^`]+)`/.exec(problem);
+  return match ? match[1].replace(/^.*\./, '') : 'base';
+}
+
+function addError(errors, attribute, message) {
+  (errors[attribute] = errors[attribute] || []).push(message);
+  return errors;
+}
+
+/**
+ * Sails 0.x validation errors (`E_VALIDATION`) holding the `invalidAttributes`
+ *
+ * @since 2.2.0
+ * @method sailsValidationErrorParser
+ * @param {Object} body The body of the response
+ * @return {Object|null}
+ */
+export function sailsValidationErrorParser(body) {
+  if (!body || !body.invalidAttributes) {
+    return null;
+  }
+  return Object.keys(body.invalidAttributes).reduce(function (memo, property) {
+    memo[property] = []
+      .concat(body.invalidAttributes[property])
+      .map(function (err) {
+        return err && err.message ? err.message : `${err}`;
+      });
+    return memo;
+  }, {});
+}
+
+/**
+ * Sails 1.x usage errors (`E_INVALID_NEW_RECORD`, `E_INVALID_VALUES_TO_SET`, ...), which describe
+ * each problem in a sentence quoting the name of the attribute
+ *
+ * @since 2.2.0
+ * @method sailsUsageErrorParser
+ * @param {Object} body The body of the response
+ * @return {Object|null}
+ */
+export function sailsUsageErrorParser(body) {
+  if (
+    !body ||
+    typeof body.code !== 'string' ||
+    !/^E_INVALID_/.test(body.code)
+  ) {
+    return null;
+  }
+  let problems = body.problems;
+  if (!Array.isArray(problems) || !problems.length) {
+    problems = [body.details || body.message || body.code];
+  }
+  return problems.reduce(function (errors, problem) {
+    return addError(errors, attributeOf(`${problem}`), `${problem}`);
+  }, {});
+}
+
+/**
+ * Sails 1.x adapter errors for uniqueness violations (`E_UNIQUE`)
+ *
+ * @since 2.2.0
+ * @method sailsUniqueErrorParser
+ * @param {Object} body The body of the response
+ * @return {Object|null}
+ */
+export function sailsUniqueErrorParser(body) {
+  if (!body || body.code !== 'E_UNIQUE') {
+    return null;
+  }
+  const attributes =
+    body.attrNames || (body.footprint && body.footprint.keys) || [];
+  const message = body.message || 'Would violate uniqueness constraint';
+  if (!attributes.length) {
+    return { base: [message] };
+  }
+  return attributes.reduce(function (errors, attribute) {
+    return addError(errors, attribute, message);
+  }, {});
+}
+
+/**
+ * The parsers used by default by the adapters, for both Sails 0.x and Sails 1.x
+ *
+ * @since 2.2.0
+ * @property defaultErrorParsers
+ * @type Array<Function>
+ */
+export const defaultErrorParsers = Object.freeze([
+  sailsValidationErrorParser,
+  sailsUsageErrorParser,
+  sailsUniqueErrorParser,
+]);
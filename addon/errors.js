@@ -0,0 +1,99 @@
+/**
+ * Error used to reject a request sent to Sails, over the socket or over HTTP
+ *
+ * @since 2.2.0
+ * @class SailsRequestError
+ * @extends Error
+ * @constructor
+ * @param {Object} [options]
+ * @param {Number} [options.status] The status of the response, `0` if there is none
+ * @param {Object} [options.headers] The headers of the response
+ * @param {mixed} [options.body] The body of the response
+ * @param {String} [options.protocol] `socket` or `http`
+ * @param {String} [options.method] The method of the request
+ * @param {String} [options.url] The URL of the request
+ * @param {String} [options.message] The message of the error, built from the above if not given
+ */
+export class SailsRequestError extends Error {
+  constructor(options = {}) {
+    const method = options.method ? options.method.toUpperCase() : null;
+    super(
+      options.message ||
+        `Sails ${options.protocol || ''} request ${method || ''} ${
+          options.url || ''
+        } failed with status ${options.status || 0}`.replace(/\s+/g, ' '),
+    );
+    this.name = 'SailsRequestError';
+    this.status = options.status || 0;
+    this.headers = options.headers || {};
+    this.body = options.body;
+    this.protocol = options.protocol || null;
+    this.method = method;
+    this.url = options.url || null;
+  }
+
+  /**
+   * The status of the response, as named in the JWR of Sails
+   * @since 2.2.0
+   * @property statusCode
+   * @type Number
+   */
+  get statusCode() {
+    return this.status;
+  }
+}
+
+/**
+ * Error used to reject a request which did not complete in time
+ *
+ * @since 2.2.0
+ * @class SailsTimeoutError
+ * @extends SailsRequestError
+ * @constructor
+ * @param {Number} timeout The timeout which has been reached, in milliseconds
+ * @param {Object} [request] The `protocol`, `method` and `url` of the request
+ */
+export class SailsTimeoutError extends SailsRequestError {
+  constructor(timeout, request = {}) {
+    super({
+      ...request,
+      message: `Sails request timed out after ${timeout}ms`,
+    });
+    this.name = 'SailsTimeoutError';
+    this.timeout = timeout;
+  }
+}
+
+/**
+ * Error used to reject a request which has been cancelled through an `AbortSignal`
+ *
+ * @since 2.2.0
+ * @class SailsAbortError
+ * @extends SailsRequestError
+ * @constructor
+ * @param {mixed} [reason] The reason given to the `AbortController`
+ * @param {Object} [request] The `protocol`, `method` and `url` of the request
+ */
+export class SailsAbortError extends SailsRequestError {
+  constructor(reason, request = {}) {
+    super({ ...request, message: 'Sails request aborted' });
+    this.name = 'SailsAbortError';
+    this.reason = reason;
+  }
+}
+
+/**
+ * Error used when the sails.io.js client could not be loaded
+ *
+ * @since 2.2.0
+ * @class SailsLoadError
+ * @extends Error
+ * @constructor
+ * @param {String} message The description of the failure
+ */
+export class SailsLoadError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SailsLoadError';
+  }
+}
@@ -0,0 +1,58 @@
+import Helper from '@ember/component/helper';
+import { inject as service } from '@ember/service';
+
+/**
+ * Retain the given record while the helper is rendered, so that it is not unloaded if it gets
+ * remotely deleted (see `store.retainRecord`). It renders nothing:
+ *
+ * ```hbs
+ * {{sails-retain @model}}
+ * ```
+ *
+ * @since 2.2.0
+ * @class SailsRetainHelper
+ * @extends Helper
+ */
+export default class SailsRetainHelper extends Helper {
+  @service store;
+
+  /**
+   * The record currently retained
+   * @since 2.2.0
+   * @property _record
+   * @type Model
+   * @private
+   */
+  _record = null;
+
+  compute([record]) {
+    if (record !== this._record) {
+      this._release();
+      if (record) {
+        this.store.retainRecord(record);
+      }
+      this._record = record || null;
+    }
+    return '';
+  }
+
+  willDestroy() {
+    super.willDestroy(...arguments);
+    this._release();
+  }
+
+  /**
+   * Release the record currently retained
+   *
+   * @since 2.2.0
+   * @method _release
+   * @private
+   */
+  _release() {
+    if (this._record) {
+      const record = this._record;
+      this._record = null;
+      this.store.releaseRecord(record);
+    }
+  }
+}
@@ -0,0 +1,61 @@
+import Helper from '@ember/component/helper';
+import { inject as service } from '@ember/service';
+
+/**
+ * Subscribe to the given record while the helper is rendered (see `store.subscribe`), as needed by
+ * the models which `subscribePolicy` is `while-rendered`. It renders nothing:
+ *
+ * ```hbs
+ * {{sails-subscribe @model}}
+ * ```
+ *
+ * @since 2.2.0
+ * @class SailsSubscribeHelper
+ * @extends Helper
+ */
+export default class SailsSubscribeHelper extends Helper {
+  @service store;
+
+  /**
+   * The record currently subscribed
+   * @since 2.2.0
+   * @property _record
+   * @type Model
+   * @private
+   */
+  _record = null;
+
+  compute([record]) {
+    if (record !== this._record) {
+      this._unsubscribe();
+      if (record && record.id != null) {
+        // failures are already warned about by the adapter
+        this.store
+          .subscribe(record.constructor.modelName, record.id)
+          .catch(() => null);
+        this._record = record;
+      }
+    }
+    return '';
+  }
+
+  willDestroy() {
+    super.willDestroy(...arguments);
+    this._unsubscribe();
+  }
+
+  /**
+   * Remove the subscription of the record currently subscribed
+   *
+   * @since 2.2.0
+   * @method _unsubscribe
+   * @private
+   */
+  _unsubscribe() {
+    if (this._record) {
+      const record = this._record;
+      this._record = null;
+      this.store.unsubscribe(record.constructor.modelName, record.id);
+    }
+  }
+}
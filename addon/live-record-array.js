@@ -0,0 +1,232 @@
+import ArrayProxy from '@ember/array/proxy';
+import { camelize } from '@ember/string';
+import { tracked } from '@glimmer/tracking';
+import { matchesWhere } from './waterline';
+
+/**
+ * Read the value of a record compared with a `where` clause, the ID for the relationships
+ *
+ * @param {Model} record
+ * @param {String} key
+ * @return {mixed}
+ */
+function valueOf(record, key) {
+  if (key === 'id') {
+    return record.id;
+  }
+  const relationships = record.constructor.relationshipsByName;
+  const relationship = relationships && relationships.get(key);
+  if (relationship) {
+    return relationship.kind === 'belongsTo'
+      ? record.belongsTo(key).id()
+      : record.hasMany(key).ids();
+  }
+  return record[key];
+}
+
+/**
+ * An array of records loaded with `store.liveQuery` and kept in sync with the `created`, `updated`
+ * and `destroyed` socket messages, and with the records saved locally since Sails doesn't send
+ * those messages to the socket which made the change: the records which start matching the
+ * `where` clause of the query are appended, the ones which stop matching it or are destroyed are
+ * removed, without querying the API again. The `sort`, `limit` and `skip` of the query only apply to the initial
+ * load
+ * It is created with an empty `content`, the `store`, the `modelName` of the records and the `query`
+ *
+ * @since 2.2.0
+ * @class LiveRecordArray
+ * @extends ArrayProxy
+ */
+export default class LiveRecordArray extends ArrayProxy {
+  /**
+   * Whether the records are being loaded
+   * @since 2.2.0
+   * @property isLoading
+   * @type Boolean
+   */
+  @tracked isLoading = false;
+
+  /**
+   * Whether the array listens to the changes of the records
+   * @since 2.2.0
+   * @property _isListening
+   * @type Boolean
+   * @private
+   */
+  _isListening = false;
+
+  /**
+   * The names of the attributes and relationships by key of the serializer
+   * @since 2.2.0
+   * @property _namesByKey
+   * @type Map
+   * @private
+   */
+  _namesByKey = null;
+
+  /**
+   * Load the records matching the query and start applying the socket messages
+   *
+   * @since 2.2.0
+   * @method load
+   * @return {Promise} Resolves to this array
+   */
+  load() {
+    this._startListening();
+    this.isLoading = true;
+    return this.store
+      .query(this.modelName, this.query)
+      .then((records) => {
+        const loaded = records.slice();
+        // keep the records which started matching while loading
+        this.content.setObjects(
+          loaded.concat(
+            this.content.filter((record) => !loaded.includes(record)),
+          ),
+        );
+        return this;
+      })
+      .catch((error) => {
+        this._stopListening();
+        throw error;
+      })
+      .finally(() => {
+        this.isLoading = false;
+      });
+  }
+
+  /**
+   * Whether a record matches the `where` clause of the query
+   *
+   * @since 2.2.0
+   * @method matches
+   * @param {Model} record
+   * @return {Boolean}
+   */
+  matches(record) {
+    return (
+      !record.isRemotelyDeleted &&
+      matchesWhere(record, this.query && this.query.where, (record, key) =>
+        valueOf(record, this._nameOfKey(key)),
+      )
+    );
+  }
+
+  /**
+   * Name of the attribute or relationship of the model for a key of the `where` clause, which uses
+   * the keys of the serializer like the query sent to the API
+   *
+   * @since 2.2.0
+   * @method _nameOfKey
+   * @param {String} key
+   * @return {String}
+   * @private
+   */
+  _nameOfKey(key) {
+    if (!this._namesByKey) {
+      const store = this.store;
+      const serializer = store.serializerFor(this.modelName);
+      const names = (this._namesByKey = new Map());
+      names.set(serializer.primaryKey || 'id', 'id');
+      const type = store.modelFor(this.modelName);
+      type.eachAttribute((name) => {
+        names.set(serializer.keyForAttribute(name, 'serialize'), name);
+      });
+      type.eachRelationship((name, { kind }) => {
+        names.set(serializer.keyForRelationship(name, kind, 'serialize'), name);
+      });
+    }
+    return this._namesByKey.get(key) || key;
+  }
+
+  willDestroy() {
+    this._stopListening();
+    super.willDestroy(...arguments);
+  }
+
+  /**
+   * Listen to the remote and local changes triggered on the store, making sure the socket adapter
+   * listens to the messages of the model and watches the creation of its records
+   *
+   * @since 2.2.0
+   * @method _startListening
+   * @private
+   */
+  _startListening() {
+    if (this._isListening) {
+      return;
+    }
+    this._isListening = true;
+    const store = this.store;
+    const adapter = store.adapterFor(this.modelName);
+    if (typeof adapter.watch === 'function') {
+      adapter._listenToSocket(camelize(this.modelName));
+      // a failure is already warned about by the adapter
+      adapter.watch(store.modelFor(this.modelName)).catch(() => null);
+    }
+    store.on('recordRemotelyCreated', this, '_recordChanged');
+    store.on('recordRemotelyUpdated', this, '_recordChanged');
+    store.on('recordRemotelyDeleted', this, '_recordDeleted');
+    store.on('recordLocallyCreated', this, '_recordChanged');
+    store.on('recordLocallyUpdated', this, '_recordChanged');
+    store.on('recordLocallyDeleted', this, '_recordDeleted');
+  }
+
+  /**
+   * @since 2.2.0
+   * @method _stopListening
+   * @private
+   */
+  _stopListening() {
+    if (!this._isListening) {
+      return;
+    }
+    this._isListening = false;
+    const store = this.store;
+    const adapter = store.adapterFor(this.modelName);
+    if (typeof adapter.unwatch === 'function') {
+      adapter.unwatch(store.modelFor(this.modelName)).catch(() => null);
+    }
+    store.off('recordRemotelyCreated', this, '_recordChanged');
+    store.off('recordRemotelyUpdated', this, '_recordChanged');
+    store.off('recordRemotelyDeleted', this, '_recordDeleted');
+    store.off('recordLocallyCreated', this, '_recordChanged');
+    store.off('recordLocallyUpdated', this, '_recordChanged');
+    store.off('recordLocallyDeleted', this, '_recordDeleted');
+  }
+
+  /**
+   * Add or remove a created or updated record depending on whether it matches the query
+   *
+   * @since 2.2.0
+   * @method _recordChanged
+   * @param {Model} record
+   * @private
+   */
+  _recordChanged(record) {
+    if (record.constructor.modelName !== this.modelName || this.isDestroying) {
+      return;
+    }
+    const content = this.content;
+    const included = content.includes(record);
+    if (this.matches(record)) {
+      if (!included) {
+        content.pushObject(record);
+      }
+    } else if (included) {
+      content.removeObject(record);
+    }
+  }
+
+  /**
+   * @since 2.2.0
+   * @method _recordDeleted
+   * @param {Model} record
+   * @private
+   */
+  _recordDeleted(record) {
+    if (record.constructor.modelName === this.modelName && !this.isDestroying) {
+      this.content.removeObject(record);
+    }
+  }
+}
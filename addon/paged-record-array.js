@@ -0,0 +1,93 @@
+import ArrayProxy from '@ember/array/proxy';
+import { tracked } from '@glimmer/tracking';
+
+/**
+ * An array of records loaded page by page with `store.queryPaged`, each page being appended to the
+ * same array, as needed for an infinite scroll
+ * It is created with an empty `content`, the `store` loading the pages, the `modelName` of the
+ * records, the `query` of the first page (its `limit` being the size of the pages) and the `options`
+ * given to `store.query`
+ *
+ * @since 2.2.0
+ * @class PagedRecordArray
+ * @extends ArrayProxy
+ */
+export default class PagedRecordArray extends ArrayProxy {
+  /**
+   * The pagination metadata of the last loaded page (`total`, `limit`, `skip` and `hasMore`)
+   * @since 2.2.0
+   * @property meta
+   * @type Object
+   */
+  @tracked meta = null;
+
+  /**
+   * Whether a page is being loaded
+   * @since 2.2.0
+   * @property isLoading
+   * @type Boolean
+   */
+  @tracked isLoading = false;
+
+  /**
+   * The promise of the page being loaded
+   * @since 2.2.0
+   * @property _loadingPromise
+   * @type Promise
+   * @private
+   */
+  _loadingPromise = null;
+
+  /**
+   * Whether there are more pages to load
+   * @since 2.2.0
+   * @property hasMore
+   * @type Boolean
+   */
+  get hasMore() {
+    return !this.meta || !!this.meta.hasMore;
+  }
+
+  /**
+   * The total number of records matching the query, `null` if unknown
+   * @since 2.2.0
+   * @property total
+   * @type Number
+   */
+  get total() {
+    return this.meta ? this.meta.total : null;
+  }
+
+  /**
+   * Load the next page and append its records to this array
+   * Calling it while a page is loading returns the same promise
+   *
+   * @since 2.2.0
+   * @method loadNextPage
+   * @return {Promise} Resolves to this array
+   */
+  loadNextPage() {
+    if (this._loadingPromise) {
+      return this._loadingPromise;
+    }
+    if (!this.hasMore) {
+      return Promise.resolve(this);
+    }
+    const query = Object.assign({}, this.query, {
+      skip: ((this.query && +this.query.skip) || 0) + this.length,
+    });
+    this.isLoading = true;
+    this._loadingPromise = this.store
+      .query(this.modelName, query, this.options || undefined)
+      .then((records) => {
+        this.meta = records.meta || null;
+        this.content.pushObjects(records.slice());
+        return this;
+      })
+      .finally(() => {
+        this.isLoading = false;
+        this._loadingPromise = null;
+      });
+    return this._loadingPromise;
+  }
+}
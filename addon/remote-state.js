@@ -0,0 +1,77 @@
+import { tracked } from '@glimmer/tracking';
+
+/**
+ * The state of a record regarding the changes received from Sails
+ *
+ * @since 2.2.0
+ * @class RemoteState
+ */
+export class RemoteState {
+  /**
+   * The time of the last change received from Sails for the record
+   * @since 2.2.0
+   * @property lastRemoteChangeAt
+   * @type Number
+   */
+  @tracked lastRemoteChangeAt = null;
+
+  /**
+   * Whether the record has been destroyed in Sails while it was kept in the store
+   * @since 2.2.0
+   * @property isRemotelyDeleted
+   * @type Boolean
+   */
+  @tracked isRemotelyDeleted = false;
+
+  /**
+   * The number of times the record has been retained with `store.retainRecord`
+   * @since 2.2.0
+   * @property retainCount
+   * @type Number
+   */
+  retainCount = 0;
+}
+
+const STATES = new WeakMap();
+
+/**
+ * Get the remote state of a record, creating it if needed
+ *
+ * @since 2.2.0
+ * @method remoteStateFor
+ * @param {Model} record
+ * @return {RemoteState}
+ */
+export function remoteStateFor(record) {
+  let state = STATES.get(record);
+  if (!state) {
+    state = new RemoteState();
+    STATES.set(record, state);
+  }
+  return state;
+}
+
+/**
+ * Define the properties of the remote state on a record, so that they can be used like its own
+ * tracked properties (`record.lastRemoteChangeAt` and `record.isRemotelyDeleted`)
+ *
+ * @since 2.2.0
+ * @method installRemoteState
+ * @param {Model} record
+ * @return {Model} The given record
+ */
+export function installRemoteState(record) {
+  if (record && !STATES.has(record)) {
+    const state = remoteStateFor(record);
+    ['lastRemoteChangeAt', 'isRemotelyDeleted'].forEach((key) => {
+      Object.defineProperty(record, key, {
+        configurable: true,
+        enumerable: false,
+        get() {
+          return state[key];
+        },
+      });
+    });
+  }
+  return record;
+}
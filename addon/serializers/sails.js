@@ -2,6 +2,7 @@ import RESTSerializer from '@ember-data/serializer/rest';
 import { debug, warn } from '@ember/debug';
 import { readOnly } from '@ember/object/computed';
 import { typeOf } from '@ember/utils';
+import SailsBaseAdapter from '@voll/ember-data-sails/adapters/sails-base';
 import SailsSocketAdapter from '@voll/ember-data-sails/adapters/sails-socket';
 import { pluralize } from 'ember-inflector';
 import _ from 'lodash';
@@ -115,6 +116,82 @@ export default class SailsSerializer extends RESTSerializer {
     });
   }
 
+  /**
+   * Link the `hasMany` relationships missing from the payload to the association route of the
+   * blueprints (unless it is a partial update), and remember the IDs of the others for the adapter
+   *
+   * @since 2.2.0
+   * @method extractRelationships
+   * @inheritDoc
+   */
+  extractRelationships(modelClass, resourceHash) {
+    const relationships = super.extractRelationships(...arguments);
+    const adapter = this._sailsAdapterFor(modelClass.modelName);
+    const id = resourceHash && resourceHash.id;
+    if (!adapter || id == null) {
+      return relationships;
+    }
+    modelClass.eachRelationship((key, relationship) => {
+      if (relationship.kind !== 'hasMany') {
+        return;
+      }
+      const existing = relationships[key];
+      if (existing && Array.isArray(existing.data)) {
+        adapter.rememberAssociation(
+          modelClass.modelName,
+          id,
+          key,
+          existing.data.map((item) => item.id),
+        );
+      } else if (
+        !existing &&
+        adapter.associationLinks &&
+        !adapter.isPushingPartial
+      ) {
+        relationships[key] = {
+          links: {
+            related: adapter.urlForAssociation(
+              modelClass.modelName,
+              id,
+              this.keyForRelationship(key, 'hasMany', 'deserialize'),
+            ),
+          },
+        };
+      }
+    });
+    return relationships;
+  }
+
+  /**
+   * Leave out the `hasMany` relationships of existing records when the adapter saves them through
+   * the association routes (see `saveHasManyDiffs`)
+   *
+   * @since 2.2.0
+   * @method serializeHasMany
+   * @inheritDoc
+   */
+  serializeHasMany(snapshot) {
+    const adapter = this._sailsAdapterFor(snapshot.modelName);
+    if (adapter && adapter.saveHasManyDiffs && !snapshot.record.isNew) {
+      return;
+    }
+    return super.serializeHasMany(...arguments);
+  }
+
+  /**
+   * Get the adapter of the given model if it is a Sails one
+   *
+   * @since 2.2.0
+   * @method _sailsAdapterFor
+   * @param {String} modelName
+   * @returns {SailsBaseAdapter|null}
+   * @private
+   */
+  _sailsAdapterFor(modelName) {
+    const adapter = this.store && this.store.adapterFor(modelName);
+    return adapter instanceof SailsBaseAdapter ? adapter : null;
+  }
+
   /**
    * @since 0.0.15
    * @method extract
@@ -1,4 +1,4 @@
-/* global io */
+import { getOwner } from '@ember/application';
 import { debug, warn } from '@ember/debug';
 import { action, set, setProperties } from '@ember/object';
 import {
@@ -7,9 +7,55 @@ import {
   removeListener,
   sendEvent,
 } from '@ember/object/events';
-import { bind, later, next } from '@ember/runloop';
+import { bind, cancel, later, next } from '@ember/runloop';
 import Service from '@ember/service';
 import { tracked } from '@glimmer/tracking';
+import {
+  SailsAbortError,
+  SailsLoadError,
+  SailsRequestError,
+  SailsTimeoutError,
+} from '../errors';
+
+/**
+ * The default path of the sails.io.js script on the Sails server
+ * @since 2.2.0
+ * @type String
+ * @private
+ */
+const DEFAULT_SCRIPT_PATH = '/js/dependencies/sails.io.js';
+
+/**
+ * The properties of the service which can be set from the config, globally or per connection
+ * @since 2.2.0
+ * @type Array<String>
+ * @private
+ */
+const CONFIGURABLE_PROPERTIES = [
+  'loadMode',
+  'loadTimeout',
+  'scriptNonce',
+  'socketUrl',
+  'requestTimeout',
+  'headers',
+  'authHeader',
+  'authScheme',
+  'authQueryParam',
+  'autoReconnect',
+  'reconnectDelay',
+  'reconnectMaxDelay',
+  'reconnectMultiplier',
+  'reconnectJitter',
+  'reconnectMaxAttempts',
+];
+
+/**
+ * Holds the promises of the scripts injected at runtime, by URL, so that they're loaded only once
+ * @since 2.2.0
+ * @type Object<Promise>
+ * @private
+ */
+const injectedScripts = {};
 
 /**
  * Shortcut to know if an object is alive or not
@@ -23,6 +69,37 @@ function isAlive(obj) {
   return !(!obj || obj.isDestroying || obj.isDestroyed);
 }
 
+/**
+ * Inject a script tag in the document and wait for it to be loaded
+ *
+ * @since 2.2.0
+ * @param {String} src The URL of the script
+ * @param {String} [nonce] The CSP nonce to give to the script tag
+ * @returns {Promise} Resolves once the script is loaded, rejects if it failed to load
+ * @private
+ */
+function injectScript(src, nonce) {
+  if (!injectedScripts[src]) {
+    injectedScripts[src] = new Promise((resolve, reject) => {
+      const script = document.createElement('script');
+      script.type = 'text/javascript';
+      script.async = true;
+      if (nonce) {
+        script.nonce = nonce;
+      }
+      script.onload = resolve;
+      script.onerror = () => {
+        delete injectedScripts[src];
+        script.remove();
+        reject(new SailsLoadError(`unable to load ${src}`));
+      };
+      script.src = src;
+      document.head.appendChild(script);
+    });
+  }
+  return injectedScripts[src];
+}
+
 /**
  * Layer on top of io.socket from Sails to play well with Ember
  *
@@ -51,17 +128,108 @@ export default class SailsSocketService extends Service {
    */
   _listeners = null;
 
+  /**
+   * The name of this connection, `default` for the service itself
+   * @since 2.2.0
+   * @property connectionName
+   * @type String
+   */
+  connectionName = 'default';
+
+  /**
+   * Holds the named connections, by name
+   * @since 2.2.0
+   * @property _connections
+   * @type Object<SailsSocketService>
+   * @private
+   */
+  _connections = null;
+
   /**
    * The URL to the sails socket
+   * Defaults to the `socketUrl` of the config, else to the origin of the sails.io.js script
    * @since 0.0.13
    * @property socketUrl
    * @type String
    */
   get socketUrl() {
+    if (this._socketUrl) {
+      return this._socketUrl;
+    }
     const script = document.getElementById('eds-sails-io-script');
-    return script.src.replace(/^([^:]+:\/\/[^/]+).*$/g, '$1');
+    return new URL(script ? script.src : this.scriptUrl, window.location.href)
+      .origin;
+  }
+  set socketUrl(value) {
+    this._socketUrl = value;
   }
 
+  /**
+   * The URL of the sails.io.js script, built from the `host` and `scriptPath` of the config
+   * @since 2.2.0
+   * @property scriptUrl
+   * @type String
+   */
+  get scriptUrl() {
+    const config = this.config;
+    return (config.host || '') + (config.scriptPath || DEFAULT_SCRIPT_PATH);
+  }
+
+  /**
+   * How to load the sails.io.js script:
+   * - `script`: wait for the script tag injected in `index.html` by the addon
+   * - `runtime`: inject the script tag when the socket is first needed
+   * - `bundle`: import `sails.io.js` and `socket.io-client` in a lazy chunk of the app bundle
+   * @since 2.2.0
+   * @property loadMode
+   * @type String
+   */
+  loadMode = 'script';
+
+  /**
+   * The maximum time to wait for sails.io.js to load, in milliseconds (`null` to wait forever)
+   * @since 2.2.0
+   * @property loadTimeout
+   * @type Number
+   */
+  loadTimeout = 10000;
+
+  /**
+   * The CSP nonce given to the script tag injected in `runtime` load mode
+   * @since 2.2.0
+   * @property scriptNonce
+   * @type String
+   */
+  scriptNonce = null;
+
+  /**
+   * The config of the addon (`ENV.APP.emberDataSails`)
+   * @since 2.2.0
+   * @property config
+   * @type Object
+   */
+  get config() {
+    return getOwner(this).lookup('config:ember-data-sails') || {};
+  }
+
+  /**
+   * The `io` object of sails.io.js, once loaded
+   * @since 2.2.0
+   * @property _io
+   * @type Object
+   * @private
+   */
+  _io = null;
+
+  /**
+   * The promise of the sails.io.js loading in progress
+   * @since 2.2.0
+   * @property _loadingPromise
+   * @type Promise
+   * @private
+   */
+  _loadingPromise = null;
+
   /**
    * Whether the socket core object is initialized or not
    * @since 0.0.4
@@ -78,6 +246,88 @@ export default class SailsSocketService extends Service {
    */
   isConnected = null;
 
+  /**
+   * The state of the connection, one of `offline`, `loading`, `connecting`, `connected`,
+   * `reconnecting` or `failed`
+   * @since 2.2.0
+   * @property connectionState
+   * @type String
+   */
+  @tracked connectionState = 'offline';
+
+  /**
+   * Whether to automatically reconnect the socket when it gets disconnected
+   * @since 2.2.0
+   * @property autoReconnect
+   * @type Boolean
+   */
+  autoReconnect = true;
+
+  /**
+   * The delay before the first reconnect attempt, in milliseconds
+   * @since 2.2.0
+   * @property reconnectDelay
+   * @type Number
+   */
+  reconnectDelay = 1000;
+
+  /**
+   * The maximum delay between two reconnect attempts, in milliseconds
+   * @since 2.2.0
+   * @property reconnectMaxDelay
+   * @type Number
+   */
+  reconnectMaxDelay = 30000;
+
+  /**
+   * The factor applied to the delay after each failed reconnect attempt
+   * @since 2.2.0
+   * @property reconnectMultiplier
+   * @type Number
+   */
+  reconnectMultiplier = 2;
+
+  /**
+   * The randomization factor of the delay, between `0` and `1`
+   * @since 2.2.0
+   * @property reconnectJitter
+   * @type Number
+   */
+  reconnectJitter = 0.5;
+
+  /**
+   * The maximum number of reconnect attempts before giving up (`null` to try forever)
+   * @since 2.2.0
+   * @property reconnectMaxAttempts
+   * @type Number
+   */
+  reconnectMaxAttempts = 10;
+
+  /**
+   * The number of the current reconnect attempt, `0` when not reconnecting
+   * @since 2.2.0
+   * @property reconnectAttempt
+   * @type Number
+   */
+  @tracked reconnectAttempt = 0;
+
+  /**
+   * The timestamp of the next reconnect attempt, `null` if none is scheduled
+   * @since 2.2.0
+   * @property nextReconnectAt
+   * @type Number
+   */
+  @tracked nextReconnectAt = null;
+
+  /**
+   * The timer of the next scheduled reconnect attempt
+   * @since 2.2.0
+   * @property _reconnectTimer
+   * @type Object
+   * @private
+   */
+  _reconnectTimer = null;
+
   /**
    * The number of currently pending operations
    * @since 0.0.4
@@ -86,6 +336,84 @@ export default class SailsSocketService extends Service {
    */
   @tracked pendingOperationCount = null;
 
+  /**
+   * The default timeout of requests, in milliseconds (`null` to wait forever)
+   * @since 2.2.0
+   * @property requestTimeout
+   * @type Number
+   */
+  requestTimeout = null;
+
+  /**
+   * The headers sent with every request, or a function returning them, which is given the method
+   * and the URL of the request (useful to send an up to date `Authorization` header)
+   * @since 2.2.0
+   * @property headers
+   * @type Object|Function
+   */
+  headers = null;
+
+  /**
+   * The current authentication token, sent with the requests in the `authHeader` header and/or
+   * in the `authQueryParam` parameter of the socket handshake
+   * @since 2.2.0
+   * @property authToken
+   * @type String
+   */
+  @tracked authToken = null;
+
+  /**
+   * The name of the header carrying the `authToken` (`null` to not send it as a header)
+   * @since 2.2.0
+   * @property authHeader
+   * @type String
+   */
+  authHeader = 'Authorization';
+
+  /**
+   * The scheme prepended to the `authToken` in the `authHeader` header (`null` for none)
+   * @since 2.2.0
+   * @property authScheme
+   * @type String
+   */
+  authScheme = 'Bearer';
+
+  /**
+   * The name of the handshake query parameter carrying the `authToken` (`null` to not send it)
+   * When set, the socket reconnects with the new token each time it is refreshed
+   * @since 2.2.0
+   * @property authQueryParam
+   * @type String
+   */
+  authQueryParam = null;
+
+  /**
+   * The promise of the authentication refresh in progress
+   * @since 2.2.0
+   * @property _authRefreshPromise
+   * @type Promise
+   * @private
+   */
+  _authRefreshPromise = null;
+
+  /**
+   * Holds the request interceptors registered with `use`
+   * @since 2.2.0
+   * @property _interceptors
+   * @type Array<Function>
+   * @private
+   */
+  _interceptors = null;
+
+  /**
+   * Whether the socket is being disconnected to handshake again with a new token
+   * @since 2.2.0
+   * @property _isRehandshaking
+   * @type Boolean
+   * @private
+   */
+  _isRehandshaking = false;
+
   /**
    * Whether the service is busy or not
    * @since 0.0.4
@@ -106,6 +434,8 @@ export default class SailsSocketService extends Service {
 
     this._listeners = {};
     this._sailsSocket = null;
+    this._connections = {};
+    this._configure(this.config);
     setProperties(this, {
       pendingOperationCount: 0,
       isInitialized: false,
@@ -120,12 +450,80 @@ export default class SailsSocketService extends Service {
    */
   @action
   willDestroy() {
+    for (let name in this._connections) {
+      this._connections[name].destroy();
+    }
+    this._cancelReconnect();
     if (this.isConnected) {
       this._sailsSocket.disconnect();
     }
     super.willDestroy();
   }
 
+  /**
+   * Register a named connection to another Sails server
+   * The connection is another instance of this service, with its own URL, listeners, pending
+   * operations and connection state, using the global config overridden by the given options
+   *
+   * @since 2.2.0
+   * @method registerConnection
+   * @param {String} name The name of the connection
+   * @param {Object} options The options of the connection, at least `socketUrl`
+   * @return {SailsSocketService} The connection
+   */
+  @action
+  registerConnection(name, options) {
+    if (name === this.connectionName || this._connections[name]) {
+      throw new Error(`Sails socket connection ${name} already registered`);
+    }
+    const connection = getOwner(this)
+      .factoryFor('service:sails-socket')
+      .create();
+    connection.connectionName = name;
+    connection._configure(options || {});
+    this._connections[name] = connection;
+    return connection;
+  }
+
+  /**
+   * Get a connection by name, registering it from the `connections` of the config if needed
+   *
+   * @since 2.2.0
+   * @method connectionFor
+   * @param {String} [name] The name of the connection, the service itself if not given
+   * @return {SailsSocketService} The connection
+   */
+  @action
+  connectionFor(name) {
+    if (!name || name === this.connectionName) {
+      return this;
+    }
+    if (!this._connections[name]) {
+      const connections = this.config.connections || {};
+      if (!connections[name]) {
+        throw new Error(`Unknown Sails socket connection ${name}`);
+      }
+      this.registerConnection(name, connections[name]);
+    }
+    return this._connections[name];
+  }
+
+  /**
+   * Apply the configurable properties found in the given options
+   *
+   * @since 2.2.0
+   * @method _configure
+   * @param {Object} options The config or the options of a connection
+   * @private
+   */
+  _configure(options) {
+    CONFIGURABLE_PROPERTIES.forEach((key) => {
+      if (options[key] !== undefined) {
+        this[key] = options[key];
+      }
+    });
+  }
+
   /**
    * Enable/disable listening for a given socket event
    *
@@ -169,44 +567,345 @@ export default class SailsSocketService extends Service {
   }
 
   /**
-   * Call a method on the socket object with the given parameters once the socket is ready and
-   * connected. Returns a promise which will resolve to the result of the method call, assuming the
-   * method is accepting as last parameter (which would not be given) a function to call once the
-   * process is done (as a NodeJS callback).
+   * Send a request on the socket once it is ready and connected. Returns a promise which will
+   * resolve to the body of the response, or reject with a `SailsRequestError` when the status is not
+   * a 2xx one.
    *
    * @since 0.0.11
    * @method request
-   * @param {String} method The name of the method to call
-   * @param {mixed} [arg]* Any argument to give to the method
+   * @param {String} method The HTTP method of the request (`get`, `post`, ...)
+   * @param {String} url The URL to request
+   * @param {Object} [data] The data to send
+   * @param {Object} [options] The options of this request
+   * @param {Number} [options.timeout] Overrides `requestTimeout` for this request
+   * @param {AbortSignal} [options.signal] A signal used to cancel the request
+   * @param {Object} [options.headers] Headers of this request, merged over the global `headers`
+   * @param {Boolean} [options.fullResponse] Resolve to the whole JWR (`body`, `statusCode` and
+   * `headers`) instead of the body only
    * @returns {Promise}
    */
   @action
-  request(method /*, arg*/) {
-    const args = [].slice.call(arguments, 1);
+  request(method, url, data, options = {}) {
     const incPending = bind(this, 'incrementProperty', 'pendingOperationCount');
+    const timeout =
+      options.timeout === undefined ? this.requestTimeout : options.timeout;
+    const signal = options.signal;
     method = method.toLowerCase();
+    const requestInfo = { protocol: 'socket', method, url };
     incPending(1);
-    // getting the connected Sails socket for ${method} request on ${args[0]}
+    // getting the connected Sails socket for ${method} request on ${url}
     return new Promise((resolve, reject) => {
-      this._connectedSocket((error, socket) => {
-        if (isAlive(this) && !error) {
-          args.push((data, jwr) => {
-            incPending(-1);
-            if (!jwr || Math.round(jwr.statusCode / 100) !== 2) {
-              reject(jwr || data);
-            } else {
-              resolve(data);
-            }
-          });
-          socket[method].apply(socket, args);
-        } else {
-          incPending(-1);
-          reject(error ? error : new Error('Sails socket service destroyed'));
+      let timer = null;
+      let isSettled = false;
+      const settle = (callback, value) => {
+        if (isSettled) {
+          return;
+        }
+        isSettled = true;
+        incPending(-1);
+        cancel(timer);
+        if (signal) {
+          signal.removeEventListener('abort', onAbort);
+        }
+        callback(value);
+      };
+      const onAbort = () =>
+        settle(reject, new SailsAbortError(signal.reason, requestInfo));
+      if (signal) {
+        if (signal.aborted) {
+          onAbort();
+          return;
         }
+        signal.addEventListener('abort', onAbort);
+      }
+      if (timeout) {
+        timer = later(
+          () => settle(reject, new SailsTimeoutError(timeout, requestInfo)),
+          timeout,
+        );
+      }
+      const send = (isRetry) => {
+        // requests wait for any authentication refresh in progress
+        this.whenAuthenticated()
+          .then(() => {
+            this._connectedSocket((error, socket) => {
+              try {
+                if (isSettled) {
+                  return;
+                }
+                if (!isAlive(this) || error) {
+                  settle(
+                    reject,
+                    error ? error : new Error('Sails socket service destroyed'),
+                  );
+                  return;
+                }
+                const request = {
+                  method,
+                  url,
+                  data,
+                  headers: this._headersFor(method, url, options.headers),
+                };
+                this._runInterceptors(request, (request) =>
+                  this._sendOnSocket(socket, request),
+                ).then(
+                  (response) => {
+                    if (isSettled) {
+                      return;
+                    }
+                    const status = response && response.statusCode;
+                    const requestError = () =>
+                      new SailsRequestError({
+                        ...requestInfo,
+                        status,
+                        headers: response && response.headers,
+                        body: response && response.body,
+                      });
+                    if (status === 401 && !isRetry) {
+                      // refresh the authentication and retry once
+                      this.authenticate().then(
+                        () => send(true),
+                        () => settle(reject, requestError()),
+                      );
+                    } else if (!status || Math.round(status / 100) !== 2) {
+                      settle(reject, requestError());
+                    } else {
+                      settle(
+                        resolve,
+                        options.fullResponse ? response : response.body,
+                      );
+                    }
+                  },
+                  (error) => settle(reject, error),
+                );
+              } catch (error) {
+                // a synchronous failure (a throwing `headers` function, ...)
+                settle(reject, error);
+              }
+            });
+          })
+          .catch((error) => settle(reject, error));
+      };
+      send(false);
+    });
+  }
+
+  /**
+   * Register an interceptor, called for each request with the request object (`method`, `url`,
+   * `data` and `headers`) and a `next` function. The interceptor can change the request, or give
+   * another one to `next`, which resolves to the JWR (`body`, `statusCode` and `headers`) for any
+   * status. It must return (a promise of) the JWR, possibly changed or replaced, or throw. The
+   * interceptors are run in the order they have been registered.
+   *
+   * @since 2.2.0
+   * @method use
+   * @param {Function} interceptor The interceptor, as `(request, next) => response`
+   * @return {Function} Call it to unregister the interceptor
+   */
+  @action
+  use(interceptor) {
+    if (!this._interceptors) {
+      this._interceptors = [];
+    }
+    this._interceptors.push(interceptor);
+    return () => {
+      this._interceptors = this._interceptors.filter((i) => i !== interceptor);
+    };
+  }
+
+  /**
+   * Run the given request through the interceptors, the last step being the given send function
+   *
+   * @since 2.2.0
+   * @method _runInterceptors
+   * @param {Object} request The request object
+   * @param {Function} send The function sending the request and resolving to the JWR
+   * @return {Promise} Resolves to the JWR returned by the interceptors
+   * @private
+   */
+  _runInterceptors(request, send) {
+    const interceptors = this._interceptors || [];
+    const dispatch = (index, request) => {
+      if (index >= interceptors.length) {
+        return Promise.resolve(send(request));
+      }
+      return Promise.resolve().then(() =>
+        interceptors[index].call(this, request, (nextRequest) =>
+          dispatch(index + 1, nextRequest || request),
+        ),
+      );
+    };
+    return dispatch(0, request);
+  }
+
+  /**
+   * Send a request object on the socket
+   *
+   * @since 2.2.0
+   * @method _sendOnSocket
+   * @param {SailsSocket} socket The connected socket
+   * @param {Object} request The request object
+   * @return {Promise} Resolves to the JWR, whatever its status
+   * @private
+   */
+  _sendOnSocket(socket, request) {
+    return new Promise((resolve) => {
+      socket.request(request, (body, jwr) => {
+        resolve(jwr || { body });
       });
     });
   }
 
+  /**
+   * Obtain a new authentication token. Override this method to plug your own session handling,
+   * it is called when a request gets a `401` response, and must resolve to the new token
+   *
+   * @since 2.2.0
+   * @method refreshAuthentication
+   * @return {Promise} Resolves to the new token, or `null` if it can't be refreshed
+   */
+  refreshAuthentication() {
+    return Promise.resolve(null);
+  }
+
+  /**
+   * Refresh the authentication token using `refreshAuthentication`, only once at a time
+   * When `authQueryParam` is set, the socket reconnects with the new token
+   *
+   * @since 2.2.0
+   * @method authenticate
+   * @return {Promise} Resolves to the new token, rejects if it could not be refreshed
+   */
+  @action
+  authenticate() {
+    if (!this._authRefreshPromise) {
+      debug('refreshing the authentication');
+      this._authRefreshPromise = Promise.resolve()
+        .then(() => this.refreshAuthentication())
+        .then((token) => {
+          if (!token) {
+            throw new Error('Unable to refresh the authentication');
+          }
+          set(this, 'authToken', token);
+          this.trigger('didRefreshAuthentication', token);
+          if (this.authQueryParam) {
+            this._rehandshake();
+          }
+          return token;
+        })
+        .catch((error) => {
+          warn('unable to refresh the authentication', false, {
+            id: 'ember-data-sails.authentication',
+          });
+          this.trigger('didFailAuthentication', error);
+          throw error;
+        })
+        .finally(() => {
+          this._authRefreshPromise = null;
+        });
+    }
+    return this._authRefreshPromise;
+  }
+
+  /**
+   * Wait for the authentication refresh in progress, if any, whatever its outcome
+   *
+   * @since 2.2.0
+   * @method whenAuthenticated
+   * @return {Promise}
+   */
+  @action
+  whenAuthenticated() {
+    if (!this._authRefreshPromise) {
+      return Promise.resolve();
+    }
+    return this._authRefreshPromise.then(
+      () => {},
+      () => {},
+    );
+  }
+
+  /**
+   * The headers carrying the `authToken`
+   *
+   * @since 2.2.0
+   * @method authHeaders
+   * @return {Object}
+   */
+  @action
+  authHeaders() {
+    if (!this.authToken || !this.authHeader) {
+      return {};
+    }
+    return {
+      [this.authHeader]: this.authScheme
+        ? `${this.authScheme} ${this.authToken}`
+        : this.authToken,
+    };
+  }
+
+  /**
+   * Build the headers of a request: the global ones, the auth ones and the given ones
+   *
+   * @since 2.2.0
+   * @method _headersFor
+   * @param {String} method The method of the request
+   * @param {String} url The URL of the request
+   * @param {Object} [headers] The headers given for this request
+   * @return {Object}
+   * @private
+   */
+  _headersFor(method, url, headers) {
+    return Object.assign(
+      {},
+      typeof this.headers === 'function'
+        ? this.headers(method, url)
+        : this.headers,
+      this.authHeaders(),
+      headers,
+    );
+  }
+
+  /**
+   * The options given to `io.sails.connect`, with the `authToken` in the handshake query if needed
+   *
+   * @since 2.2.0
+   * @method _socketOptions
+   * @return {Object}
+   * @private
+   */
+  _socketOptions() {
+    const options = {};
+    if (this.authQueryParam && this.authToken) {
+      options.query = `${encodeURIComponent(
+        this.authQueryParam,
+      )}=${encodeURIComponent(this.authToken)}`;
+    }
+    return options;
+  }
+
+  /**
+   * Disconnect the socket and connect it again so that the handshake uses the new `authToken`
+   *
+   * @since 2.2.0
+   * @method _rehandshake
+   * @private
+   */
+  @action
+  _rehandshake() {
+    const sailsSocket = this._sailsSocket;
+    if (!sailsSocket) {
+      // not connected yet, the token will be used for the first handshake
+      return;
+    }
+    sailsSocket.query = this._socketOptions().query;
+    if (this.isConnected) {
+      debug('reconnecting the socket with the new authentication token');
+      this._isRehandshaking = true;
+      sailsSocket.disconnect();
+    }
+  }
+
   /**
    * @since 0.0.4
    * @method trigger
@@ -241,6 +940,22 @@ export default class SailsSocketService extends Service {
     return hasListeners(this, name);
   }
 
+  /**
+   * Reconnect the socket right now, resetting the reconnect attempts
+   *
+   * @since 2.2.0
+   * @method reconnect
+   */
+  @action
+  reconnect() {
+    if (!isAlive(this) || !this.isInitialized || this.isConnected) {
+      return;
+    }
+    this._cancelReconnect();
+    set(this, 'reconnectAttempt', 0);
+    this._reconnect();
+  }
+
   /**
    * Get the socket ready and connected and then pass it as parameter of the given callback
    *
@@ -270,20 +985,15 @@ export default class SailsSocketService extends Service {
       if (this._waitingForSockets.length > 1) {
         return;
       }
-      this.one(
-        'didConnect',
-        bind(this, function () {
-          const callbacks = this._waitingForSockets;
-          delete this._waitingForSockets;
-          for (let i = 0; i < callbacks.length; i++) {
-            callbacks[i].call(this, null, this._sailsSocket);
-          }
-        }),
-      );
+      this.one('didConnect', this, '_flushWaitingForSockets');
       if (this.isInitialized) {
         debug(
           'looks like we are initialized but not connected, reconnecting socket',
         );
+        this._cancelReconnect();
+        if (this.connectionState === 'failed') {
+          set(this, 'reconnectAttempt', 0);
+        }
         this._reconnect();
       } else {
         this._load();
@@ -291,46 +1001,181 @@ export default class SailsSocketService extends Service {
     }
   }
 
+  /**
+   * Give the socket, or the error preventing to get it, to the callbacks waiting for it
+   *
+   * @since 2.2.0
+   * @method _flushWaitingForSockets
+   * @param {Error} [error] The error if the socket could not be made ready
+   * @private
+   */
+  @action
+  _flushWaitingForSockets(error) {
+    const callbacks = this._waitingForSockets || [];
+    delete this._waitingForSockets;
+    this.off('didConnect', this, '_flushWaitingForSockets');
+    for (let i = 0; i < callbacks.length; i++) {
+      if (error) {
+        callbacks[i].call(this, error);
+      } else {
+        callbacks[i].call(this, null, this._sailsSocket);
+      }
+    }
+  }
+
   /**
    * Force the reconnection of the socket
-   * The way how the `io.socket` is checked for readiness is a hack, since listening to `connect`
-   * event was doing a lot of garbage listeners for each subsequent call to `on`. Maybe a bug in
-   * `sails` socket code...
    * @since 0.0.4
    * @method _reconnect
    */
   @action
   _reconnect() {
+    this._reconnectTimer = null;
     if (
       this._sailsSocket._raw &&
       !this._sailsSocket._raw.connected &&
       !this._sailsSocket._raw.connecting
     ) {
+      setProperties(this, {
+        reconnectAttempt: this.reconnectAttempt + 1,
+        nextReconnectAt: null,
+      });
+      this._setConnectionState('reconnecting');
       this._sailsSocket.reconnect();
 
       // Need to re-do this since this._sailsSocket._raw is replaced during reconnect,
       // and these events will never fire unless they are (hackishly) re-bound
-      const waitObject = bind(this, function () {
-        if (this._sailsSocket._raw) {
-          this._sailsSocket._raw.addEventListener(
-            'connect',
-            bind(this, '_handleSocketConnect'),
-          );
-          this._sailsSocket._raw.addEventListener(
-            'disconnect',
-            bind(this, '_handleSocketDisconnect'),
-          );
-          if (this._sailsSocket._raw.connected) {
-            next(this, '_handleSocketConnect');
-          }
-        } else {
-          later(waitObject, 10);
-        }
-      });
-      waitObject();
+      this._bindSocketStateListeners();
+    }
+  }
+
+  /**
+   * Schedule the next reconnect attempt, using an exponential backoff with jitter, or give up if
+   * `reconnectMaxAttempts` has been reached
+   *
+   * @since 2.2.0
+   * @method _scheduleReconnect
+   * @private
+   */
+  @action
+  _scheduleReconnect() {
+    const attempt = this.reconnectAttempt;
+    if (
+      this.reconnectMaxAttempts != null &&
+      attempt >= this.reconnectMaxAttempts
+    ) {
+      warn(
+        `giving up reconnecting the socket after ${attempt} attempt(s)`,
+        false,
+        {
+          id: 'ember-data-sails.socket',
+        },
+      );
+      set(this, 'nextReconnectAt', null);
+      this._setConnectionState('failed');
+      this._flushWaitingForSockets(
+        new Error(`Unable to reconnect the socket after ${attempt} attempt(s)`),
+      );
+      return;
+    }
+    const delay = this._reconnectDelayFor(attempt + 1);
+    debug(`reconnecting the socket in ${delay}ms`);
+    set(this, 'nextReconnectAt', Date.now() + delay);
+    this._setConnectionState('reconnecting');
+    this.trigger('willReconnect', attempt + 1, delay);
+    this._reconnectTimer = later(this, '_reconnect', delay);
+  }
+
+  /**
+   * Cancel the scheduled reconnect attempt if any
+   *
+   * @since 2.2.0
+   * @method _cancelReconnect
+   * @private
+   */
+  _cancelReconnect() {
+    if (this._reconnectTimer) {
+      cancel(this._reconnectTimer);
+      this._reconnectTimer = null;
+    }
+  }
+
+  /**
+   * Compute the delay before the given reconnect attempt
+   *
+   * @since 2.2.0
+   * @method _reconnectDelayFor
+   * @param {Number} attempt The number of the attempt, starting at `1`
+   * @return {Number} The delay in milliseconds
+   * @private
+   */
+  _reconnectDelayFor(attempt) {
+    const delay = Math.min(
+      this.reconnectMaxDelay,
+      this.reconnectDelay * Math.pow(this.reconnectMultiplier, attempt - 1),
+    );
+    const jitter = delay * this.reconnectJitter * (Math.random() * 2 - 1);
+    return Math.max(0, Math.round(delay + jitter));
+  }
+
+  /**
+   * Change the state of the connection and trigger the related events
+   *
+   * @since 2.2.0
+   * @method _setConnectionState
+   * @param {String} state The new state
+   * @private
+   */
+  @action
+  _setConnectionState(state) {
+    const previous = this.connectionState;
+    if (previous !== state) {
+      debug(
+        `socket ${this.connectionName} connection state: ${previous} → ${state}`,
+      );
+      set(this, 'connectionState', state);
+      this.trigger('didChangeConnectionState', state, previous);
     }
   }
 
+  /**
+   * Listen for the connection events of the raw socket, waiting for it to exist
+   * The way how the `io.socket` is checked for readiness is a hack, since listening to `connect`
+   * event was doing a lot of garbage listeners for each subsequent call to `on`. Maybe a bug in
+   * `sails` socket code...
+   *
+   * @since 2.2.0
+   * @method _bindSocketStateListeners
+   * @private
+   */
+  @action
+  _bindSocketStateListeners() {
+    const waitObject = bind(this, function () {
+      const raw = this._sailsSocket._raw;
+      if (raw) {
+        raw.addEventListener('connect', bind(this, '_handleSocketConnect'));
+        raw.addEventListener(
+          'disconnect',
+          bind(this, '_handleSocketDisconnect'),
+        );
+        raw.addEventListener(
+          'connect_error',
+          bind(this, '_handleSocketConnectError'),
+        );
+        raw.addEventListener(
+          'connect_failed',
+          bind(this, '_handleSocketConnectError'),
+        );
+        if (raw.connected) {
+          next(this, '_handleSocketConnect');
+        }
+      } else {
+        later(waitObject, 10);
+      }
+    });
+    waitObject();
+  }
+
   /**
    * Bind event listeners that have been waiting to be attached
    *
@@ -411,25 +1256,12 @@ export default class SailsSocketService extends Service {
     debug('socket core object ready');
     set(this, 'isInitialized', true);
     this.trigger('didInitialize');
-    this._sailsSocket = io.sails.connect(this.socketUrl);
-    const waitObject = bind(this, function () {
-      if (this._sailsSocket._raw) {
-        this._sailsSocket._raw.addEventListener(
-          'connect',
-          bind(this, '_handleSocketConnect'),
-        );
-        this._sailsSocket._raw.addEventListener(
-          'disconnect',
-          bind(this, '_handleSocketDisconnect'),
-        );
-        if (this._sailsSocket._raw.connected) {
-          next(this, '_handleSocketConnect');
-        }
-      } else {
-        later(waitObject, 10);
-      }
-    });
-    waitObject();
+    this._setConnectionState('connecting');
+    this._sailsSocket = this._io.sails.connect(
+      this.socketUrl,
+      this._socketOptions(),
+    );
+    this._bindSocketStateListeners();
   }
 
   /**
@@ -444,11 +1276,34 @@ export default class SailsSocketService extends Service {
     if (!isAlive(this)) {
       return;
     }
+    this._cancelReconnect();
     this._bindListeners();
     set(this, 'isConnected', true);
+    setProperties(this, { reconnectAttempt: 0, nextReconnectAt: null });
+    this._setConnectionState('connected');
     this.trigger('didConnect');
   }
 
+  /**
+   * Handles a failed connection attempt of the socket
+   *
+   * @since 2.2.0
+   * @method _handleSocketConnectError
+   * @private
+   */
+  @action
+  _handleSocketConnectError() {
+    if (!isAlive(this) || this.isConnected || this._reconnectTimer) {
+      return;
+    }
+    if (this.autoReconnect) {
+      this._scheduleReconnect();
+    } else {
+      this._setConnectionState('offline');
+      this._flushWaitingForSockets(new Error('Sails socket offline'));
+    }
+  }
+
   /**
    * Handles the disconnected event of the socket
    *
@@ -464,6 +1319,15 @@ export default class SailsSocketService extends Service {
     set(this, 'isConnected', false);
     this.trigger('didDisconnect');
     this._unbindListeners();
+    if (this._isRehandshaking) {
+      this._isRehandshaking = false;
+      this._reconnect();
+    } else if (this.autoReconnect) {
+      this._scheduleReconnect();
+    } else {
+      this._setConnectionState('offline');
+      this._flushWaitingForSockets(new Error('Sails socket offline'));
+    }
   }
 
   /**
@@ -475,12 +1339,119 @@ export default class SailsSocketService extends Service {
    */
   @action
   _load() {
-    if (!this._loaded) {
-      if (window.io && io.sails && io.sails.emberDataSailsReady) {
-        next(this, '_handleSocketReady');
-      } else {
-        later(this, '_load', 10);
+    if (this._loadingPromise) {
+      return;
+    }
+    this._setConnectionState('loading');
+    const timeout = this.loadTimeout;
+    let timer = null;
+    this._loadingPromise = new Promise((resolve, reject) => {
+      if (timeout) {
+        timer = later(
+          () =>
+            reject(
+              new SailsLoadError(
+                `sails.io.js did not load within ${timeout}ms`,
+              ),
+            ),
+          timeout,
+        );
       }
+      Promise.resolve()
+        .then(() => this.loadSocketClient())
+        .then(resolve, reject);
+    })
+      .then((io) => {
+        cancel(timer);
+        if (!isAlive(this)) {
+          return;
+        }
+        if (!io || !io.sails) {
+          throw new SailsLoadError('sails.io.js did not provide `io.sails`');
+        }
+        io.sails.autoConnect = false;
+        this._io = io;
+        next(this, '_handleSocketReady');
+      })
+      .catch((error) => {
+        cancel(timer);
+        this._loadingPromise = null;
+        this._handleLoadFailure(error);
+      });
+  }
+
+  /**
+   * Load the sails.io.js client depending on `loadMode`
+   * Override this method to provide the `io` object yourself, for example to use another version of
+   * `socket.io-client`
+   *
+   * @since 2.2.0
+   * @method loadSocketClient
+   * @return {Promise} Resolves to the `io` object of sails.io.js
+   */
+  loadSocketClient() {
+    switch (this.loadMode) {
+      case 'runtime':
+        return injectScript(this.scriptUrl, this.scriptNonce).then(
+          () => window.io,
+        );
+      case 'bundle':
+        return Promise.all([
+          import('socket.io-client'),
+          import('sails.io.js'),
+        ]).then(([socketIOClient, sailsIOClient]) =>
+          (sailsIOClient.default || sailsIOClient)(
+            socketIOClient.default || socketIOClient,
+          ),
+        );
+      default:
+        return this._waitForScriptTag();
     }
   }
+
+  /**
+   * Wait for the sails.io.js script injected by the addon in `index.html` to be ready
+   *
+   * @since 2.2.0
+   * @method _waitForScriptTag
+   * @return {Promise} Resolves to the `io` object
+   * @private
+   */
+  _waitForScriptTag() {
+    return new Promise((resolve) => {
+      const check = () => {
+        if (!isAlive(this) || this._io) {
+          return;
+        }
+        const io = window.io;
+        if (io && io.sails && io.sails.emberDataSailsReady) {
+          resolve(io);
+        } else if (this._loadingPromise) {
+          later(check, 10);
+        }
+      };
+      check();
+    });
+  }
+
+  /**
+   * Handles the failure of loading sails.io.js
+   *
+   * @since 2.2.0
+   * @method _handleLoadFailure
+   * @param {Error} error The error which occurred
+   * @private
+   */
+  @action
+  _handleLoadFailure(error) {
+    if (!isAlive(this)) {
+      return;
+    }
+    warn(`unable to load sails.io.js: ${error.message || error}`, false, {
+      id: 'ember-data-sails.socket',
+    });
+    this._setConnectionState('failed');
+    this.trigger('didFailToLoad', error);
+    this._flushWaitingForSockets(error);
+  }
 }
@@ -1,8 +1,158 @@
-import Store from "@ember-data/store";
+import JSONAPICache from "@ember-data/json-api";
+import {
+  LegacyNetworkHandler,
+  adapterFor,
+  cleanup,
+  normalize,
+  pushPayload,
+  serializeRecord,
+  serializerFor,
+} from "@ember-data/legacy-compat";
+import {
+  buildSchema,
+  instantiateRecord,
+  modelFor,
+  teardownRecord,
+} from "@ember-data/model/hooks";
+import RequestManager from "@ember-data/request";
+import Fetch from "@ember-data/request/fetch";
+import Store, { CacheHandler } from "@ember-data/store";
+import { A } from "@ember/array";
+import {
+  addListener,
+  hasListeners,
+  removeListener,
+  sendEvent,
+} from "@ember/object/events";
+import { next } from "@ember/runloop";
 import { typeOf } from "@ember/utils";
 import SailsSocketAdapter from "../adapters/sails-socket";
+import LiveRecordArray from "../live-record-array";
+import PagedRecordArray from "../paged-record-array";
+import { installRemoteState, remoteStateFor } from "../remote-state";
 
 export default class NewStore extends Store {
+  /**
+   * The records marked as remotely deleted, waiting to be unloaded
+   * @since 2.2.0
+   * @property _remotelyDeleted
+   * @type Set
+   * @private
+   */
+  _remotelyDeleted = new Set();
+
+  /**
+   * The socket adapters holding subscriptions of records, to release them when all the records are
+   * unloaded
+   * @since 2.2.0
+   * @property _subscribingAdapters
+   * @type Set
+   * @private
+   */
+  _subscribingAdapters = new Set();
+
+  /**
+   * The store of `@ember-data/store` comes without any request handler, cache or model: set up
+   * those of `ember-data`, with the legacy adapters and serializers used by the Sails adapters
+   *
+   * @since 2.2.0
+   * @constructor
+   */
+  constructor() {
+    super(...arguments);
+    if (!("requestManager" in this)) {
+      this.requestManager = new RequestManager();
+      this.requestManager.use([LegacyNetworkHandler, Fetch]);
+    }
+    this.requestManager.useCache(CacheHandler);
+  }
+
+  /**
+   * @since 2.2.0
+   * @method createSchemaService
+   * @inheritDoc
+   */
+  createSchemaService() {
+    return buildSchema(this);
+  }
+
+  /**
+   * @since 2.2.0
+   * @method createCache
+   * @inheritDoc
+   */
+  createCache(storeWrapper) {
+    return new JSONAPICache(storeWrapper);
+  }
+
+  /**
+   * @since 2.2.0
+   * @method teardownRecord
+   * @inheritDoc
+   */
+  teardownRecord(record) {
+    teardownRecord.call(this, record);
+  }
+
+  /**
+   * @since 2.2.0
+   * @method modelFor
+   * @inheritDoc
+   */
+  modelFor(type) {
+    return modelFor.call(this, type) || super.modelFor(type);
+  }
+
+  /**
+   * @since 2.2.0
+   * @method adapterFor
+   * @inheritDoc
+   */
+  adapterFor() {
+    return adapterFor.apply(this, arguments);
+  }
+
+  /**
+   * @since 2.2.0
+   * @method serializerFor
+   * @inheritDoc
+   */
+  serializerFor() {
+    return serializerFor.apply(this, arguments);
+  }
+
+  /**
+   * @since 2.2.0
+   * @method normalize
+   * @inheritDoc
+   */
+  normalize() {
+    return normalize.apply(this, arguments);
+  }
+
+  /**
+   * @since 2.2.0
+   * @method serializeRecord
+   * @inheritDoc
+   */
+  serializeRecord() {
+    return serializeRecord.apply(this, arguments);
+  }
+
+  /**
+   * Destroy the adapters and serializers along with the store
+   *
+   * @since 2.2.0
+   * @method destroy
+   * @inheritDoc
+   */
+  // the store is not a classic class, it has no willDestroy hook
+  // eslint-disable-next-line ember/classic-decorator-hooks
+  destroy() {
+    cleanup.call(this);
+    super.destroy();
+  }
+
   /**
    * @since 0.0.11
    * @inheritDoc
@@ -19,7 +169,7 @@ export default class NewStore extends Store {
       sub = args.pop();
     }
     this._pushSubscribes = sub;
-    super.pushPayload.apply(this, args);
+    pushPayload.apply(this, args);
     this._pushSubscribes = old;
   }
 
@@ -47,21 +197,385 @@ export default class NewStore extends Store {
   }
 
   /**
-   * Schedule a subscription to the given model
+   * Give each record the tracked properties of its remote state (`lastRemoteChangeAt`)
+   *
+   * @since 2.2.0
+   * @method instantiateRecord
+   * @inheritDoc
+   */
+  instantiateRecord() {
+    return installRemoteState(instantiateRecord.apply(this, arguments));
+  }
+
+  /**
+   * Trigger `recordLocallyCreated`, `recordLocallyUpdated` or `recordLocallyDeleted` with the
+   * record once saved: Sails doesn't send the messages of a change to the socket which made it
+   *
+   * @since 2.2.0
+   * @method saveRecord
+   * @inheritDoc
+   */
+  saveRecord(record) {
+    const event = record.isDeleted
+      ? "recordLocallyDeleted"
+      : record.isNew
+        ? "recordLocallyCreated"
+        : "recordLocallyUpdated";
+    return super.saveRecord(...arguments).then((saved) => {
+      this.trigger(event, record);
+      return saved;
+    });
+  }
+
+  /**
+   * Mark a record as destroyed in Sails without unloading it, so that it can still be rendered.
+   * It is unloaded once released if it has been retained. Otherwise it stays in the store until
+   * the app calls `unloadRemotelyDeleted` or unloads it
+   *
+   * @since 2.2.0
+   * @method markRemotelyDeleted
+   * @param {Model} record
+   */
+  markRemotelyDeleted(record) {
+    remoteStateFor(record).isRemotelyDeleted = true;
+    this._remotelyDeleted.add(record);
+  }
+
+  /**
+   * Tell that a record is in use (rendered for example), so that it is not unloaded if it gets
+   * remotely deleted. Each call must be balanced with a call to `releaseRecord`
+   *
+   * @since 2.2.0
+   * @method retainRecord
+   * @param {Model} record
+   */
+  retainRecord(record) {
+    remoteStateFor(record).retainCount++;
+  }
+
+  /**
+   * Tell that a record retained with `retainRecord` is not in use anymore, unloading it if it has
+   * been remotely deleted and nothing else retains it
+   *
+   * @since 2.2.0
+   * @method releaseRecord
+   * @param {Model} record
+   */
+  releaseRecord(record) {
+    const state = remoteStateFor(record);
+    state.retainCount = Math.max(0, state.retainCount - 1);
+    if (!state.retainCount && state.isRemotelyDeleted) {
+      // once the rendering which released it is done, and if it has not been retained again
+      next(() => {
+        if (!state.retainCount && this._remotelyDeleted.has(record)) {
+          this._unloadRemotelyDeleted(record);
+        }
+      });
+    }
+  }
+
+  /**
+   * Unload the records marked as remotely deleted which are not retained
+   *
+   * @since 2.2.0
+   * @method unloadRemotelyDeleted
+   * @param {String} [modelName] Only unload the records of this model
+   * @return {Number} The number of unloaded records
+   */
+  unloadRemotelyDeleted(modelName) {
+    let count = 0;
+    Array.from(this._remotelyDeleted).forEach((record) => {
+      if (
+        (!modelName || record.constructor.modelName === modelName) &&
+        !remoteStateFor(record).retainCount
+      ) {
+        this._unloadRemotelyDeleted(record);
+        count++;
+      }
+    });
+    return count;
+  }
+
+  /**
+   * @since 2.2.0
+   * @method _unloadRemotelyDeleted
+   * @param {Model} record
+   * @private
+   */
+  _unloadRemotelyDeleted(record) {
+    this._remotelyDeleted.delete(record);
+    if (!record.isDestroyed && !record.isDestroying) {
+      record.unloadRecord();
+    }
+  }
+
+  /**
+   * Subscribe to the given records. Each call adds a reference to their subscription, which must
+   * be removed with `unsubscribe` once they are not needed anymore
    *
    * @since 0.0.11
    * @method subscribe
    * @param {String|subclass of Model} type
    * @param {Array<String|Number>|String|Number} ids
+   * @return {Promise} Resolves once the API acknowledged the subscriptions, rejects with its error
    */
   subscribe(type, ids) {
     if (typeOf(ids) !== "array") {
       ids = [ids];
     }
-    type = this.modelFor(type);
-    const adapter = this.adapterFor(type);
-    for (let i = 0; i < ids.length; i++) {
-      adapter._scheduleSubscribe(type, ids[i]);
+    type = this._modelClassFor(type);
+    return this.adapterFor(type.modelName).subscribe(type, ids);
+  }
+
+  /**
+   * Remove a reference added with `subscribe` to the subscription of the given records, asking the
+   * API to unsubscribe from the ones which are not referenced anymore
+   *
+   * @since 2.2.0
+   * @method unsubscribe
+   * @param {String|subclass of Model} type
+   * @param {Array<String|Number>|String|Number} ids
+   */
+  unsubscribe(type, ids) {
+    if (typeOf(ids) !== "array") {
+      ids = [ids];
+    }
+    type = this._modelClassFor(type);
+    this.adapterFor(type.modelName).unsubscribe(type, ids);
+  }
+
+  /**
+   * Get the subscribed records of the given model, or of all the models of the socket adapters
+   *
+   * @since 2.2.0
+   * @method subscriptionsFor
+   * @param {String|subclass of Model} [type]
+   * @return {Object} The number of references to each subscription by ID, or by camelized model
+   * name then ID when no type is given
+   */
+  subscriptionsFor(type) {
+    if (type) {
+      type = this._modelClassFor(type);
+      return this.adapterFor(type.modelName).subscriptionsFor(type);
+    }
+    const all = {};
+    this._subscribingAdapters.forEach((adapter) => {
+      const subscriptions = adapter.subscriptionsFor();
+      Object.keys(subscriptions).forEach((key) => {
+        all[key] = Object.assign(all[key] || {}, subscriptions[key]);
+      });
+    });
+    return all;
+  }
+
+  /**
+   * Watch the creation of the records of the given model with the socket adapter, so that the new
+   * records are pushed into the store (and so appear in `peekAll`). Each call must be balanced with
+   * a call to `unwatch`
+   *
+   * @since 2.2.0
+   * @method watch
+   * @param {String|subclass of Model} type
+   * @return {Promise} Resolves once the API acknowledged the watch, rejects with its error
+   */
+  watch(type) {
+    type = this._modelClassFor(type);
+    return this.adapterFor(type.modelName).watch(type);
+  }
+
+  /**
+   * Stop watching the creation of the records of the given model, once nothing else watches it
+   *
+   * @since 2.2.0
+   * @method unwatch
+   * @param {String|subclass of Model} type
+   * @return {Promise}
+   */
+  unwatch(type) {
+    type = this._modelClassFor(type);
+    return this.adapterFor(type.modelName).unwatch(type);
+  }
+
+  /**
+   * Release the subscription held by the record since it has been pushed, and forget it if it has
+   * been marked as remotely deleted
+   *
+   * @since 2.2.0
+   * @method unloadRecord
+   * @inheritDoc
+   */
+  unloadRecord(record) {
+    this._remotelyDeleted.delete(record);
+    if (record && record.id != null) {
+      this._releaseRecordSubscriptions(record.constructor.modelName, [
+        record.id,
+      ]);
+    }
+    return super.unloadRecord(...arguments);
+  }
+
+  /**
+   * Release the subscriptions held by the unloaded records, and forget the ones marked as remotely
+   * deleted
+   *
+   * @since 2.2.0
+   * @method unloadAll
+   * @inheritDoc
+   */
+  unloadAll(modelName) {
+    if (modelName) {
+      this._releaseRecordSubscriptions(modelName);
+      this._remotelyDeleted.forEach((record) => {
+        if (record.constructor.modelName === modelName) {
+          this._remotelyDeleted.delete(record);
+        }
+      });
+    } else {
+      this._remotelyDeleted.clear();
+      this._subscribingAdapters.forEach((adapter) =>
+        adapter.releaseAllRecordSubscriptions(),
+      );
+    }
+    return super.unloadAll(...arguments);
+  }
+
+  /**
+   * The model class of the given type, the adapters and the models being looked up by model name
+   *
+   * @since 2.2.0
+   * @method _modelClassFor
+   * @param {String|subclass of Model} type
+   * @return {subclass of Model}
+   * @private
+   */
+  _modelClassFor(type) {
+    return typeof type === "string" ? this.modelFor(type) : type;
+  }
+
+  /**
+   * Remember a socket adapter which subscribed to records, called by the adapter
+   *
+   * @since 2.2.0
+   * @method _trackSubscribingAdapter
+   * @param {SailsSocketAdapter} adapter
+   * @private
+   */
+  _trackSubscribingAdapter(adapter) {
+    this._subscribingAdapters.add(adapter);
+  }
+
+  /**
+   * @since 2.2.0
+   * @method _releaseRecordSubscriptions
+   * @param {String} modelName
+   * @param {Array<String|Number>} [ids] All the records of the model if not given
+   * @private
+   */
+  _releaseRecordSubscriptions(modelName, ids) {
+    const adapter = this.adapterFor(modelName);
+    if (adapter instanceof SailsSocketAdapter) {
+      adapter.releaseRecordSubscriptions(this.modelFor(modelName), ids);
     }
   }
+
+  /**
+   * Query the first page of records, resolving to an array in which the next pages can be loaded
+   * with `loadNextPage()`. The `limit` of the query is the size of the pages
+   *
+   * @since 2.2.0
+   * @method queryPaged
+   * @param {String} modelName
+   * @param {Object} query
+   * @param {Object} [options] The options given to `query` for each page
+   * @return {Promise} Resolves to a `PagedRecordArray`
+   */
+  queryPaged(modelName, query, options) {
+    const array = PagedRecordArray.create({
+      content: A(),
+      store: this,
+      modelName,
+      query: query || {},
+      options: options || null,
+    });
+    return array.loadNextPage();
+  }
+
+  /**
+   * Query the records matching the `where` clause of the query, resolving to an array kept in sync
+   * with the socket messages: records are added or removed as they start or stop matching it.
+   * Destroy the array to stop listening
+   *
+   * @since 2.2.0
+   * @method liveQuery
+   * @param {String} modelName
+   * @param {Object} query
+   * @return {Promise} Resolves to a `LiveRecordArray`
+   */
+  liveQuery(modelName, query) {
+    const array = LiveRecordArray.create({
+      content: A(),
+      store: this,
+      modelName,
+      query: query || {},
+    });
+    return array.load();
+  }
+
+  /**
+   * Trigger an event on the store, like the `conflict` event of the Sails socket adapter
+   *
+   * @since 2.2.0
+   * @method trigger
+   * @param {String} event
+   * @param {mixed} ...args
+   */
+  trigger(event, ...args) {
+    return sendEvent(this, event, args);
+  }
+
+  /**
+   * @since 2.2.0
+   * @method on
+   * @param {String} name
+   * @param {Object} [target]
+   * @param {Function|String} method
+   */
+  on(name, target, method) {
+    addListener(this, name, target, method);
+    return this;
+  }
+
+  /**
+   * @since 2.2.0
+   * @method one
+   * @param {String} name
+   * @param {Object} [target]
+   * @param {Function|String} method
+   */
+  one(name, target, method) {
+    addListener(this, name, target, method, true);
+    return this;
+  }
+
+  /**
+   * @since 2.2.0
+   * @method off
+   * @param {String} name
+   * @param {Object} [target]
+   * @param {Function|String} method
+   */
+  off(name, target, method) {
+    removeListener(this, name, target, method);
+    return this;
+  }
+
+  /**
+   * @since 2.2.0
+   * @method has
+   * @param {String} name
+   * @return {Boolean}
+   */
+  has(name) {
+    return hasListeners(this, name);
+  }
 }
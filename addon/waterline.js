@@ -0,0 +1,226 @@
+/**
+ * Helpers to talk to the blueprints of Sails with Waterline criteria
+ *
+ * @module waterline
+ */
+
+/**
+ * Join a list given as an array or a string into the comma separated list expected by Sails
+ *
+ * @param {Array|String} list The list to join
+ * @return {String}
+ */
+function joinList(list) {
+  return Array.isArray(list) ? list.join(',') : `${list}`;
+}
+
+/**
+ * Build the `sort` parameter expected by Sails
+ * Accepts a Sails string (`title ASC`), an Ember style string (`-createdAt,title`), an array of
+ * those or an object like `{createdAt: 'DESC', title: 'ASC'}`
+ *
+ * @since 2.2.0
+ * @method sortToWaterline
+ * @param {String|Array|Object} sort The sort to translate
+ * @return {String}
+ */
+export function sortToWaterline(sort) {
+  let parts;
+  if (Array.isArray(sort)) {
+    parts = sort;
+  } else if (sort && typeof sort === 'object') {
+    parts = Object.keys(sort).map((key) => {
+      const direction = sort[key];
+      const desc = direction === -1 || `${direction}`.toUpperCase() === 'DESC';
+      return `${key} ${desc ? 'DESC' : 'ASC'}`;
+    });
+  } else {
+    parts = `${sort}`.split(',');
+  }
+  return parts
+    .map((part) => {
+      part = `${part}`.trim();
+      if (part.charAt(0) === '-') {
+        return `${part.slice(1)} DESC`;
+      }
+      return /\s(ASC|DESC)$/i.test(part) ? part : `${part} ASC`;
+    })
+    .join(',');
+}
+
+/**
+ * Translate a structured query into the parameters understood by the blueprints of Sails:
+ * - `where` is JSON encoded, so that the Waterline modifiers (`contains`, `in`, `>=`, `or`, ...)
+ *   survive both the socket and the HTTP query string
+ * - `sort` goes through `sortToWaterline`
+ * - `select`, `omit` and `populate` are joined with commas
+ * - `include` (Ember style) is added to `populate`
+ * Any other key is left untouched.
+ *
+ * @since 2.2.0
+ * @method queryToWaterline
+ * @param {Object} query The query given to the store
+ * @return {Object} The parameters to send to Sails
+ */
+export function queryToWaterline(query) {
+  if (!query || typeof query !== 'object') {
+    return query;
+  }
+  const params = Object.assign({}, query);
+  if (params.where && typeof params.where === 'object') {
+    params.where = JSON.stringify(params.where);
+  }
+  if (params.sort) {
+    params.sort = sortToWaterline(params.sort);
+  }
+  ['select', 'omit'].forEach((key) => {
+    if (params[key]) {
+      params[key] = joinList(params[key]);
+    }
+  });
+  if (params.include) {
+    const populate = params.populate ? [joinList(params.populate)] : [];
+    params.populate = populate.concat(joinList(params.include)).join(',');
+    delete params.include;
+  } else if (params.populate !== undefined) {
+    params.populate = joinList(params.populate);
+  }
+  return params;
+}
+
+/**
+ * Get a value which can be compared with another one: dates are turned into times, and numeric
+ * strings into numbers when compared with a number
+ *
+ * @param {mixed} value
+ * @param {mixed} other The value it is compared with
+ * @return {mixed}
+ */
+function comparable(value, other) {
+  if (value instanceof Date) {
+    return value.getTime();
+  }
+  if (typeof value === 'string') {
+    if (other instanceof Date) {
+      return Date.parse(value);
+    }
+    if (typeof other === 'number' && value.trim() !== '' && !isNaN(value)) {
+      return Number(value);
+    }
+  }
+  return value;
+}
+
+function compare(value, other) {
+  const a = comparable(value, other);
+  const b = comparable(other, value);
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+function sameValue(value, other) {
+  if (value == null || other == null) {
+    return value == null && other == null;
+  }
+  return comparable(value, other) === comparable(other, value);
+}
+
+function includesValue(list, value) {
+  return [].concat(list).some((item) => sameValue(value, item));
+}
+
+function lowerString(value) {
+  return value == null ? null : `${value}`.toLowerCase();
+}
+
+function likeToRegExp(pattern) {
+  const source = `${pattern}`
+    .split('%')
+    .map((part) => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${source}$`, 'i');
+}
+
+const MODIFIERS = {
+  '<': (value, other) => value != null && compare(value, other) < 0,
+  '<=': (value, other) => value != null && compare(value, other) <= 0,
+  '>': (value, other) => value != null && compare(value, other) > 0,
+  '>=': (value, other) => value != null && compare(value, other) >= 0,
+  '!=': (value, other) =>
+    Array.isArray(other)
+      ? !includesValue(other, value)
+      : !sameValue(value, other),
+  in: (value, other) => includesValue(other, value),
+  nin: (value, other) => !includesValue(other, value),
+  contains: (value, other) =>
+    value != null && lowerString(value).includes(lowerString(other)),
+  startsWith: (value, other) =>
+    value != null && lowerString(value).startsWith(lowerString(other)),
+  endsWith: (value, other) =>
+    value != null && lowerString(value).endsWith(lowerString(other)),
+  like: (value, other) => value != null && likeToRegExp(other).test(value),
+};
+MODIFIERS.lessThan = MODIFIERS['<'];
+MODIFIERS.lessThanOrEqual = MODIFIERS['<='];
+MODIFIERS.greaterThan = MODIFIERS['>'];
+MODIFIERS.greaterThanOrEqual = MODIFIERS['>='];
+MODIFIERS.not = MODIFIERS['!='];
+
+/**
+ * Tell whether a value matches the criteria given for an attribute
+ *
+ * @param {mixed} value
+ * @param {mixed} criteria A value, a list of values or an object of modifiers
+ * @return {Boolean}
+ */
+function matchesCriteria(value, criteria) {
+  if (Array.isArray(criteria)) {
+    return includesValue(criteria, value);
+  }
+  if (
+    criteria &&
+    typeof criteria === 'object' &&
+    !(criteria instanceof Date) &&
+    Object.keys(criteria).length
+  ) {
+    return Object.keys(criteria).every((modifier) => {
+      if (!MODIFIERS[modifier]) {
+        throw new Error(`Unsupported Waterline modifier: ${modifier}`);
+      }
+      return MODIFIERS[modifier](value, criteria[modifier]);
+    });
+  }
+  return sameValue(value, criteria);
+}
+
+/**
+ * Tell whether a record matches a Waterline `where` clause, as the blueprints of Sails would.
+ * Supports the equality (with a value or a list of values), `or`, `and` and the modifiers `<`,
+ * `<=`, `>`, `>=`, `!=`, `in`, `nin`, `contains`, `startsWith`, `endsWith` and `like` (the string
+ * modifiers being case insensitive)
+ *
+ * @since 2.2.0
+ * @method matchesWhere
+ * @param {Object} record The record, or its data
+ * @param {Object|String} where The `where` clause, JSON encoded or not
+ * @param {Function} [get] Reads a value of the record, given the record and the name of the
+ * attribute, defaults to reading the property
+ * @return {Boolean}
+ */
+export function matchesWhere(record, where, get) {
+  if (typeof where === 'string') {
+    where = JSON.parse(where);
+  }
+  if (!where) {
+    return true;
+  }
+  get = get || ((record, key) => record[key]);
+  return Object.keys(where).every((key) => {
+    if (key === 'or') {
+      return where.or.some((clause) => matchesWhere(record, clause, get));
+    }
+    if (key === 'and') {
+      return where.and.every((clause) => matchesWhere(record, clause, get));
+    }
+    return matchesCriteria(get(record, key), where[key]);
+  });
+}
@@ -0,0 +1 @@
+export { default } from '@voll/ember-data-sails/helpers/sails-subscribe';
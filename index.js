@@ -12,6 +12,10 @@ module.exports = {
       } else {
         options = {};
       }
+      if (options.loadMode && options.loadMode !== 'script') {
+        // sails.io.js is loaded by the socket service itself
+        return '';
+      }
       if (!options.host) {
         options.host = '';
       }
@@ -24,6 +24,26 @@ socket = {
   put: requestMethod('put'),
   delete: requestMethod('delete'),
 
+  // like `io.sails.connect`, giving the mocked socket
+  connect: function () {
+    return socket;
+  },
+
+  disconnect: function () {
+    socket._raw.connected = socket._raw.open = false;
+  },
+
+  request: function (options, callback) {
+    io.sails.requestQueue.push({
+      cb: callback,
+      method: options.method.toLowerCase(),
+      url: options.url,
+      headers: options.headers || {},
+      data: options.data || {},
+    });
+    io.mockProcessQueue();
+  },
+
   // mocked properties and methods
   _raw: {
     _connectingTimeout: null,
@@ -160,13 +180,18 @@ io = {
       res.onStart(res);
       setTimeout(function () {
         setTimeout(bind(io, 'mockProcessQueue'), 1);
+        // the JWR of sails.io.js
+        var jwr = { body: res.response, headers: {}, statusCode: 200 };
         if (res.error) {
           item.cb(
             res.response,
-            res.error === true ? { statusCode: 404 } : res.error,
+            Object.assign(
+              jwr,
+              res.error === true ? { statusCode: 404 } : res.error,
+            ),
           );
         } else {
-          item.cb(res.response, { statusCode: 200 });
+          item.cb(res.response, jwr);
         }
       }, res.delay);
     }
@@ -230,7 +255,7 @@ io = {
       return;
     }
     listeners.forEach(function (listener) {
-      listener.apply(listener.target, args.slice());
+      listener.method.apply(listener.target, args.slice());
     });
   },
 
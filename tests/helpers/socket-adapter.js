@@ -0,0 +1,138 @@
+import Service from '@ember/service';
+import Model, { attr, belongsTo, hasMany } from '@ember-data/model';
+import RESTSerializer from '@ember-data/serializer/rest';
+import { settled, waitUntil } from '@ember/test-helpers';
+import SailsSocketAdapter from '@voll/ember-data-sails/adapters/sails-socket';
+import ioMock from './io-mock';
+
+export class TeamModel extends Model {
+  @attr('string') name;
+  @attr('string') color;
+  @belongsTo('user', { async: true, inverse: null }) leader;
+  @hasMany('user', { async: true, inverse: null }) members;
+}
+
+/**
+ * Test the socket adapter alone (`this.subject()`), with a fake `sails-socket` service recording
+ * the requests in `this.requests` and answering them with the bodies in `this.responses`, and a
+ * fake store recording the pushed payloads and the unloaded IDs in `this.store`
+ *
+ * @param {Object} hooks
+ */
+export function setupSocketAdapter(hooks) {
+  hooks.beforeEach(function () {
+    const requests = (this.requests = []);
+    const listeners = (this.listeners = {});
+    const responses = (this.responses = []);
+    this.owner.register(
+      'service:sails-socket',
+      class extends Service {
+        connectionFor() {
+          return this;
+        }
+        request(method, url, data, options) {
+          requests.push({ method, url, data });
+          const body = responses.length ? responses.shift() : {};
+          return Promise.resolve(
+            options && options.fullResponse
+              ? { statusCode: 200, headers: {}, body }
+              : body,
+          );
+        }
+        on(name, target, method) {
+          (listeners[name] = listeners[name] || []).push({ target, method });
+          return this;
+        }
+        off() {
+          return this;
+        }
+        listenFor() {
+          return false;
+        }
+        trigger(name) {
+          (listeners[name] || []).forEach(({ target, method }) => {
+            target[method]();
+          });
+        }
+      },
+    );
+    const store = (this.store = { pushed: [], unloaded: [] });
+    this.owner.register(
+      'service:store',
+      class extends Service {
+        modelFor(modelName) {
+          return { modelName };
+        }
+        pushPayload(modelName, payload) {
+          store.pushed.push(payload);
+        }
+        peekRecord(modelName, id) {
+          return {
+            get() {},
+            unloadRecord() {
+              store.unloaded.push(id);
+            },
+          };
+        }
+      },
+    );
+    this.owner.register('adapter:test-socket', SailsSocketAdapter);
+    this.subject = function () {
+      return this.owner.lookup('adapter:test-socket');
+    };
+  });
+}
+
+/**
+ * Test the socket adapter of the application (`this.adapter`) with the store (`this.store`) and
+ * the `sails-socket` service (`this.socket`), only the socket being mocked with `io-mock`. The
+ * `user` and `team` models use the socket adapter.
+ * The requests are recorded in `this.requests` and answered with the body given in
+ * `this.responses` for their method and URL (as `get /api/v1/users/1`), else with an empty
+ * object. `this.message(eventName, message)` sends a message on the socket, and `this.settled()`
+ * waits for the run loop and the requests
+ *
+ * @param {Object} hooks
+ */
+export function setupSocketStore(hooks) {
+  hooks.beforeEach(async function () {
+    ioMock.mockSetup();
+    this.owner.register('model:team', TeamModel);
+    this.owner.register('serializer:application', RESTSerializer);
+    const requests = (this.requests = []);
+    const responses = (this.responses = {});
+    const socket = (this.socket = this.owner.lookup('service:sails-socket'));
+    socket.loadSocketClient = () => Promise.resolve(ioMock);
+    socket.use((request, next) => {
+      const key = `${request.method} ${request.url}`;
+      requests.push(request);
+      ioMock.mockRequest(
+        request.method,
+        request.url,
+        false,
+        key in responses ? responses[key] : {},
+        1,
+      );
+      return next();
+    });
+    this.store = this.owner.lookup('service:store');
+    this.adapter = this.store.adapterFor('application');
+    this.adapter.useCSRF = false;
+    this.message = (eventName, message) =>
+      ioMock.mockTrigger(eventName, message);
+    this.settled = async () => {
+      await settled();
+      while (socket.pendingOperationCount) {
+        await waitUntil(() => !socket.pendingOperationCount);
+        await settled();
+      }
+    };
+
+    ioMock.mockConnect(1);
+    await new Promise((resolve) => socket._connectedSocket(resolve));
+  });
+
+  hooks.afterEach(function () {
+    ioMock.mockTeardown();
+  });
+}
@@ -1,5 +1,7 @@
 import { run } from '@ember/runloop';
 import SailsBaseAdapter from '@voll/ember-data-sails/adapters/sails-base';
+import { SailsRequestError } from '@voll/ember-data-sails/errors';
+import { InvalidError, NotFoundError } from '@ember-data/adapter/error';
 import { module, test } from 'qunit';
 import extend from '../../helpers/extend';
 import { setupTest } from 'ember-qunit';
@@ -253,4 +255,203 @@ module('SailsBaseAdapter', function (hooks) {
         );
       });
   });
+
+  test('it maps request errors to ember-data errors', function (assert) {
+    const adapter = this.subject();
+    const notFound = new SailsRequestError({ status: 404, body: 'Not Found' });
+    const invalid = new SailsRequestError({
+      status: 400,
+      body: {
+        error: 'E_VALIDATION',
+        invalidAttributes: { name: [{ message: 'name is required' }] },
+      },
+    });
+
+    const notFoundError = adapter.adapterErrorFor(notFound);
+    assert.true(notFoundError instanceof NotFoundError);
+    assert.strictEqual(notFoundError.sailsError, notFound);
+
+    const invalidError = adapter.adapterErrorFor(invalid);
+    assert.true(invalidError instanceof InvalidError);
+    assert.deepEqual(invalidError.errors, [
+      {
+        title: 'Invalid Attribute',
+        detail: 'name is required',
+        source: { pointer: '/data/attributes/name' },
+      },
+    ]);
+  });
+
+  test('it formats the errors of Sails 1.x', function (assert) {
+    const adapter = this.subject();
+
+    assert.deepEqual(
+      adapter.formatError({
+        code: 'E_INVALID_NEW_RECORD',
+        problems: [
+          'Missing value for required attribute `title`.  Expected a string, but instead, got: undefined',
+        ],
+      }),
+      {
+        title: [
+          'Missing value for required attribute `title`.  Expected a string, but instead, got: undefined',
+        ],
+      },
+    );
+    assert.deepEqual(
+      adapter.formatError({
+        code: 'E_UNIQUE',
+        message: 'Would violate uniqueness constraint',
+        attrNames: ['email'],
+      }),
+      { email: ['Would violate uniqueness constraint'] },
+    );
+    assert.deepEqual(adapter.formatError({ message: 'oops' }), {});
+    assert.true(
+      adapter.isInvalidError(
+        new SailsRequestError({
+          status: 400,
+          body: { code: 'E_UNIQUE', attrNames: ['email'] },
+        }),
+      ),
+    );
+  });
+
+  test('it translates structured queries for Waterline', function (assert) {
+    const adapter = this.subject();
+
+    assert.deepEqual(
+      adapter.serializeQuery({
+        where: { title: { contains: 'ember' }, or: [{ views: { '>=': 10 } }] },
+        sort: '-createdAt,title',
+        limit: 10,
+        skip: 20,
+        select: ['title', 'views'],
+        include: 'author,comments',
+      }),
+      {
+        where: '{"title":{"contains":"ember"},"or":[{"views":{">=":10}}]}',
+        sort: 'createdAt DESC,title ASC',
+        limit: 10,
+        skip: 20,
+        select: 'title,views',
+        populate: 'author,comments',
+      },
+    );
+    assert.deepEqual(
+      adapter.serializeQuery({ sort: { views: 'DESC' }, omit: ['body'] }),
+      { sort: 'views DESC', omit: 'body' },
+    );
+  });
+
+  test('it adds the pagination metadata to query results', function (assert) {
+    const adapter = this.subject();
+    const type = { modelName: 'blog-post' };
+    const records = [{ id: 1 }, { id: 2 }];
+
+    return adapter
+      ._addPaginationMeta(type, { limit: 2, skip: 4 }, records, {
+        'x-total-count': '10',
+      })
+      .then((payload) => {
+        assert.deepEqual(payload, {
+          blogPosts: records,
+          meta: { total: 10, limit: 2, skip: 4, hasMore: true },
+        });
+        return adapter._addPaginationMeta(type, { limit: 5 }, records, {});
+      })
+      .then((payload) => {
+        assert.deepEqual(payload.meta, {
+          total: null,
+          limit: 5,
+          skip: 0,
+          hasMore: false,
+        });
+      });
+  });
+
+  test('it coalesces find requests with a where query', function (assert) {
+    const calls = [];
+    const adapter = this.subject({
+      _request(out, url, method, options) {
+        calls.push({ url, method, data: options.data });
+        return Promise.resolve([]);
+      },
+    });
+    adapter.findManyChunkSize = 2;
+    const snapshots = ['1', '2', '3'].map((id) => ({ id, modelName: 'post' }));
+
+    assert.deepEqual(
+      adapter
+        .groupRecordsForFindMany(null, snapshots)
+        .map((group) => group.map((snapshot) => snapshot.id)),
+      [['1', '2'], ['3']],
+    );
+
+    return adapter
+      .findMany(null, { modelName: 'post' }, ['1', '2'], snapshots.slice(0, 2))
+      .then(() => {
+        assert.deepEqual(calls, [
+          {
+            url: '/posts',
+            method: 'GET',
+            data: { where: '{"id":{"in":["1","2"]}}', limit: 2 },
+          },
+        ]);
+      });
+  });
+
+  test('it forwards the adapterOptions of query and queryRecord', function (assert) {
+    const calls = [];
+    const adapter = this.subject({
+      _request(out, url, method, options) {
+        calls.push([url, options.timeout, options.signal]);
+        return Promise.resolve([]);
+      },
+    });
+    const type = { modelName: 'post' };
+    const signal = new AbortController().signal;
+    const options = { adapterOptions: { timeout: 5000, signal } };
+
+    return adapter
+      .query(null, type, { where: { title: 'ember' } }, null, options)
+      .then(() => adapter.queryRecord(null, type, { limit: 1 }, options))
+      .then(() => {
+        assert.deepEqual(calls, [
+          ['/posts', 5000, signal],
+          ['/posts', 5000, signal],
+        ]);
+      });
+  });
+
+  test('it saves hasMany changes through the association routes', function (assert) {
+    const calls = [];
+    const adapter = this.subject({
+      _request(out, url, method) {
+        calls.push(`${method} ${url}`);
+        return Promise.resolve({});
+      },
+    });
+    const store = {
+      serializerFor() {
+        return { keyForRelationship: (key) => key };
+      },
+    };
+    const type = {
+      modelName: 'team',
+      eachRelationship(callback) {
+        callback('members', { kind: 'hasMany', key: 'members' });
+      },
+    };
+    const snapshot = { id: '1', hasMany: () => ['2', '3'] };
+    adapter.rememberAssociation('team', '1', 'members', [1, 2]);
+
+    return adapter._saveHasManyDiffs(store, type, snapshot).then(() => {
+      assert.deepEqual(calls, [
+        'PUT /teams/1/members/3',
+        'DELETE /teams/1/members/1',
+      ]);
+      assert.deepEqual(adapter._associations.team['1'].members, ['2', '3']);
+    });
+  });
 });
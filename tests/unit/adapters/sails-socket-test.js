@@ -0,0 +1,518 @@
+import { module, test } from 'qunit';
+import { setupTest } from 'ember-qunit';
+import { run } from '@ember/runloop';
+import { settled } from '@ember/test-helpers';
+import SailsSocketAdapter from '@voll/ember-data-sails/adapters/sails-socket';
+import {
+  setupSocketAdapter,
+  setupSocketStore,
+} from '../../helpers/socket-adapter';
+
+module('SailsSocketAdapter', function (hooks) {
+  setupTest(hooks);
+  setupSocketAdapter(hooks);
+
+  test('it re-subscribes in batches after a reconnect', async function (assert) {
+    const adapter = this.subject();
+    const socket = this.owner.lookup('service:sails-socket');
+    adapter.subscribeBatchSize = 2;
+    adapter._rememberSubscriptions('post', ['1', '2', '3']);
+    adapter._rememberSubscriptions('user', ['4']);
+
+    const resubscribed = new Promise((resolve) => {
+      adapter.on('didResubscribe', null, resolve);
+    });
+    socket.trigger('didConnect');
+    assert.strictEqual(
+      this.requests.length,
+      0,
+      'it should not re-subscribe on the first connection',
+    );
+
+    socket.trigger('didDisconnect');
+    socket.trigger('didConnect');
+    await resubscribed;
+
+    assert.deepEqual(
+      this.requests.map((request) => request.data),
+      [{ post: ['1', '2'] }, { post: ['3'], user: ['4'] }],
+      'it should replay all subscriptions in batches',
+    );
+    assert.strictEqual(
+      this.requests[0].url,
+      '/socket/subscribe',
+      'it should use the subscribe endpoint',
+    );
+  });
+
+  test('it counts the references to subscriptions and unsubscribes', async function (assert) {
+    const adapter = this.subject();
+    const type = { modelName: 'post' };
+    adapter.unsubscribeEndpoint = '/socket/unsubscribe';
+    adapter.subscribe(type, [1, 2]);
+    adapter._scheduleSubscribe(type, 2);
+    await settled();
+
+    assert.deepEqual(
+      this.requests.map((request) => request.data),
+      [{ post: ['1', '2'] }],
+      'it should subscribe once to each record',
+    );
+    assert.deepEqual(
+      adapter.subscriptionsFor(type),
+      { 1: 1, 2: 2 },
+      'it should count the references to each subscription',
+    );
+
+    adapter.unsubscribe(type, [1, 2]);
+    adapter.releaseRecordSubscriptions(type, [3]);
+    await settled();
+    assert.deepEqual(
+      this.requests.slice(1),
+      [{ method: 'POST', url: '/socket/unsubscribe', data: { post: ['1'] } }],
+      'it should unsubscribe from the records not referenced anymore',
+    );
+
+    adapter.releaseRecordSubscriptions(type);
+    adapter.subscribe(type, [2]);
+    await settled();
+    assert.strictEqual(
+      this.requests.length,
+      2,
+      'it should not send a pending unsubscription cancelled by a subscription',
+    );
+    assert.deepEqual(adapter.subscriptionsFor(), { post: { 2: 1 } });
+  });
+
+  test('it settles subscribe once the API answered its batch', async function (assert) {
+    const adapter = this.subject();
+    const socket = this.owner.lookup('service:sails-socket');
+    const events = [];
+    adapter.store.trigger = (...args) => events.push(args);
+    const type = { modelName: 'post' };
+
+    await Promise.all([
+      adapter.subscribe(type, [1]),
+      adapter.subscribe(type, [1, 2]),
+    ]);
+    assert.deepEqual(
+      this.requests.map((request) => request.data),
+      [{ post: ['1', '2'] }],
+      'it should resolve once the batch holding the records is acknowledged',
+    );
+    assert.deepEqual(events, [['didSubscribe', 'post', ['1', '2']]]);
+
+    const error = new Error('forbidden');
+    socket.request = () => Promise.reject(error);
+    await assert.rejects(
+      adapter.subscribe(type, [3]),
+      /forbidden/,
+      'it should reject with the error of the API',
+    );
+    assert.deepEqual(events[1], ['didFailSubscribe', 'post', ['3'], error]);
+  });
+
+  test('it settles each subscribe with the request of its own batch', async function (assert) {
+    const adapter = this.subject();
+    const socket = this.owner.lookup('service:sails-socket');
+    adapter.subscribeBatchSize = 1;
+    socket.request = (method, url, data) =>
+      data.post[0] === '2'
+        ? Promise.reject(new Error('forbidden'))
+        : Promise.resolve({});
+    const type = { modelName: 'post' };
+
+    adapter._scheduleSubscribe(type, 4);
+    const first = adapter.subscribe(type, [1]);
+    const second = adapter.subscribe(type, [2]);
+    await first;
+    assert.ok(true, 'it should resolve despite the failure of another batch');
+    await assert.rejects(second, /forbidden/);
+  });
+
+  test('it sends the CSRF token without adding it to the subscriptions', async function (assert) {
+    const adapter = this.subject();
+    const events = [];
+    adapter.store.trigger = (...args) => events.push(args);
+    adapter.useCSRF = true;
+    this.responses.push({ _csrf: 'token' });
+    const type = { modelName: 'post' };
+
+    await adapter.subscribe(type, [1]);
+    assert.deepEqual(
+      this.requests.map(({ url, data }) => [url, data]),
+      [
+        ['/csrfToken', undefined],
+        ['/socket/subscribe', { post: ['1'], _csrf: 'token' }],
+      ],
+    );
+    assert.deepEqual(events, [['didSubscribe', 'post', ['1']]]);
+    await settled();
+    assert.deepEqual(adapter._pendingSubscriptions, { post: {} });
+  });
+
+  test('it watches the creation of records by model', async function (assert) {
+    const adapter = this.subject();
+    const socket = this.owner.lookup('service:sails-socket');
+    const type = { modelName: 'blog-post' };
+
+    await Promise.all([adapter.watch(type), adapter.watch(type)]);
+    assert.deepEqual(
+      this.requests,
+      [{ method: 'POST', url: '/socket/watch', data: { blogPost: true } }],
+      'it should watch the model once',
+    );
+    assert.true(adapter.isWatching(type));
+
+    socket.trigger('didDisconnect');
+    await adapter._handleSocketConnect();
+    assert.deepEqual(
+      this.requests[1],
+      { method: 'POST', url: '/socket/watch', data: { blogPost: true } },
+      'it should watch again after a reconnect',
+    );
+
+    await adapter.unwatch(type);
+    assert.strictEqual(this.requests.length, 2, 'it should still be watched');
+    await adapter.unwatch(type);
+    assert.deepEqual(this.requests[2], {
+      method: 'POST',
+      url: '/socket/unwatch',
+      data: { blogPost: true },
+    });
+    assert.false(adapter.isWatching(type));
+
+    socket.request = () => Promise.reject(new Error('forbidden'));
+    await assert.rejects(adapter.watch(type), /forbidden/);
+    assert.false(adapter.isWatching(type), 'it should forget a failed watch');
+  });
+
+  test('it subscribes to the records following the policy of their model', async function (assert) {
+    const adapter = this.subject();
+    adapter.modelOptions = {
+      comment: { subscribePolicy: 'never' },
+      post: { subscribePolicy: 'find-record' },
+    };
+    adapter.subscribeBatchSize = 2;
+    adapter.subscribeDebounce = 0;
+    adapter._scheduleSubscribe({ modelName: 'comment' }, 1);
+    adapter._scheduleSubscribe({ modelName: 'post' }, 2);
+    adapter._scheduleSubscribe({ modelName: 'post' }, 3, 'findRecord');
+    adapter._scheduleSubscribe({ modelName: 'user' }, 4);
+    adapter._scheduleSubscribe({ modelName: 'user' }, 5);
+    await settled();
+
+    assert.deepEqual(
+      adapter.subscriptionsFor(),
+      { post: { 3: 1 }, user: { 4: 1, 5: 1 } },
+      'it should only subscribe to the records allowed by the policy',
+    );
+    assert.deepEqual(
+      this.requests.map((request) => request.data),
+      [{ post: ['3'], user: ['4'] }, { user: ['5'] }],
+      'it should send the subscriptions in batches',
+    );
+  });
+
+  test('it subscribes to the records found with findRecord or findMany', async function (assert) {
+    const adapter = this.subject();
+    const type = { modelName: 'post' };
+    adapter.modelOptions = { post: { subscribePolicy: 'find-record' } };
+    adapter.subscribeDebounce = 0;
+    this.responses.push({ post: { id: 1 } }, { posts: [{ id: 2 }, { id: 3 }] });
+    await adapter.findRecord(null, type, '1');
+    await adapter.findMany(null, type, ['2', '3'], []);
+    await settled();
+
+    assert.deepEqual(
+      adapter.subscriptionsFor(),
+      { post: { 1: 1, 2: 1, 3: 1 } },
+      'it should subscribe to the found records',
+    );
+  });
+
+  test('it resyncs the subscribed records after a reconnect', async function (assert) {
+    const adapter = this.subject();
+    const socket = this.owner.lookup('service:sails-socket');
+    adapter.resyncOnReconnect = true;
+    adapter._rememberSubscriptions('post', ['1', '2', '3']);
+    adapter._trackLastSeen({ modelName: 'post' }, { id: 1, updatedAt: 1000 });
+
+    const resynced = new Promise((resolve) => {
+      adapter.on('didResync', null, resolve);
+    });
+    socket.trigger('didDisconnect');
+    this.responses.push(
+      {},
+      [{ id: 2, title: 'changed', updatedAt: 2000 }],
+      [{ id: 1 }, { id: 2 }],
+    );
+    socket.trigger('didConnect');
+    const counts = await resynced;
+
+    assert.deepEqual(
+      JSON.parse(this.requests[1].data.where),
+      { id: { in: ['1', '2', '3'] }, updatedAt: { '>': 1000 } },
+      'it should query the records changed since the last message seen',
+    );
+    assert.deepEqual(
+      this.store.pushed,
+      [{ posts: [{ id: 2, title: 'changed', updatedAt: 2000 }] }],
+      'it should push the changed records',
+    );
+    assert.deepEqual(
+      this.store.unloaded,
+      ['3'],
+      'it should unload the records the server does not return anymore',
+    );
+    assert.deepEqual(
+      counts,
+      { post: { updated: 1, deleted: 1 } },
+      'it should give the counts by model',
+    );
+  });
+
+  test('it resyncs with wrapped payloads and a safety margin', async function (assert) {
+    const adapter = this.subject();
+    const socket = this.owner.lookup('service:sails-socket');
+    adapter.resyncOnReconnect = true;
+    adapter._rememberSubscriptions('post', ['1', '2']);
+
+    const resynced = new Promise((resolve) => {
+      adapter.on('didResync', null, resolve);
+    });
+    socket.trigger('didDisconnect');
+    const disconnectedAt = Date.now();
+    this.responses.push(
+      {},
+      { posts: [{ id: 2, updatedAt: 2000 }], users: [{ id: 9 }] },
+      { posts: [{ id: 1 }, { id: 2 }] },
+    );
+    socket.trigger('didConnect');
+    const counts = await resynced;
+
+    assert.ok(
+      JSON.parse(this.requests[1].data.where).updatedAt['>'] <=
+        disconnectedAt - adapter.resyncSafetyMargin,
+      'it should query the changes since before the disconnection',
+    );
+    assert.deepEqual(
+      this.store.pushed,
+      [{ posts: [{ id: 2, updatedAt: 2000 }], users: [{ id: 9 }] }],
+      'it should push the whole payload',
+    );
+    assert.deepEqual(counts, { post: { updated: 1, deleted: 0 } });
+  });
+});
+
+module('SailsSocketAdapter | with the store', function (hooks) {
+  setupTest(hooks);
+  setupSocketStore(hooks);
+
+  test('it subscribes to the pushed records and releases them once unloaded', async function (assert) {
+    const store = this.store;
+    const user = run(() =>
+      store.push({
+        data: { type: 'user', id: '1', attributes: { name: 'Jane' } },
+      }),
+    );
+    assert.strictEqual(
+      user.lastRemoteChangeAt,
+      null,
+      'the record should have its remote state',
+    );
+    await this.settled();
+
+    assert.deepEqual(
+      this.requests.map(({ method, url, data }) => [method, url, data]),
+      [['post', '/socket/subscribe', { user: ['1'] }]],
+    );
+    assert.deepEqual(store.subscriptionsFor('user'), { 1: 1 });
+
+    run(() => store.unloadRecord(user));
+    assert.deepEqual(
+      store.subscriptionsFor('user'),
+      {},
+      'it should release the subscription held by the record',
+    );
+    await this.settled();
+  });
+
+  test('it resolves subscribe and watch once the socket answered', async function (assert) {
+    const store = this.store;
+    const subscribed = [];
+    store.on('didSubscribe', null, (modelName, ids) => {
+      subscribed.push([modelName, ids]);
+    });
+
+    await store.subscribe('user', ['1', '2']);
+    assert.deepEqual(subscribed, [['user', ['1', '2']]]);
+    assert.deepEqual(store.subscriptionsFor('user'), { 1: 1, 2: 1 });
+
+    await store.watch('user');
+    assert.true(this.adapter.isWatching(store.modelFor('user')));
+    assert.deepEqual(
+      this.requests.map(({ url, data }) => [url, data]),
+      [
+        ['/socket/subscribe', { user: ['1', '2'] }],
+        ['/socket/watch', { user: true }],
+      ],
+    );
+  });
+
+  test('it gives the subscriptions of all the socket adapters', async function (assert) {
+    const store = this.store;
+    this.owner.register(
+      'adapter:team',
+      class extends SailsSocketAdapter {
+        useCSRF = false;
+      },
+    );
+
+    await store.subscribe('user', ['1']);
+    await store.subscribe('team', ['2', '3']);
+    assert.notStrictEqual(store.adapterFor('team'), this.adapter);
+    assert.deepEqual(store.subscriptionsFor(), {
+      user: { 1: 1 },
+      team: { 2: 1, 3: 1 },
+    });
+  });
+
+  test('it applies the socket messages to the records of the store', async function (assert) {
+    const store = this.store;
+    const events = [];
+    [
+      'recordRemotelyCreated',
+      'recordRemotelyUpdated',
+      'recordRemotelyDeleted',
+    ].forEach((event) => {
+      store.on(event, null, (record, changed) => {
+        events.push([event, record.constructor.modelName, record.id, changed]);
+      });
+    });
+    await store.watch('user');
+    await store.watch('team');
+
+    this.message('user', {
+      verb: 'created',
+      id: 1,
+      data: { id: 1, name: 'Jane' },
+    });
+    this.message('user', {
+      verb: 'updated',
+      id: 1,
+      data: { name: 'Jane Doe' },
+    });
+    const jane = store.peekRecord('user', '1');
+    assert.strictEqual(jane.name, 'Jane Doe');
+    assert.strictEqual(typeof jane.lastRemoteChangeAt, 'number');
+
+    const team = run(() =>
+      store.push({
+        data: {
+          type: 'team',
+          id: '1',
+          attributes: { name: 'Core' },
+          relationships: { members: { data: [{ type: 'user', id: '1' }] } },
+        },
+      }),
+    );
+    this.responses['get /api/v1/users/2'] = { user: { id: 2, name: 'Joe' } };
+    this.message('team', {
+      verb: 'addedTo',
+      id: 1,
+      attribute: 'members',
+      addedIds: [2],
+    });
+    this.message('team', {
+      verb: 'removedFrom',
+      id: 1,
+      attribute: 'members',
+      removedId: 1,
+    });
+    await this.settled();
+    assert.deepEqual(team.hasMany('members').ids(), ['2']);
+    assert.strictEqual(
+      store.peekRecord('user', '2').name,
+      'Joe',
+      'it should load the added record',
+    );
+
+    this.message('user', { verb: 'destroyed', id: 1 });
+    assert.strictEqual(store.peekRecord('user', '1'), null);
+
+    this.adapter.softDeletes = true;
+    this.message('user', { verb: 'destroyed', id: 2 });
+    const joe = store.peekRecord('user', '2');
+    assert.true(joe.isRemotelyDeleted, 'it should only mark the record');
+    assert.strictEqual(
+      run(() => store.unloadRemotelyDeleted('user')),
+      1,
+    );
+    assert.strictEqual(store.peekRecord('user', '2'), null);
+
+    assert.deepEqual(events, [
+      ['recordRemotelyCreated', 'user', '1', undefined],
+      ['recordRemotelyUpdated', 'user', '1', ['name']],
+      ['recordRemotelyUpdated', 'team', '1', ['members']],
+      ['recordRemotelyUpdated', 'team', '1', ['members']],
+      ['recordRemotelyDeleted', 'user', '1', undefined],
+      ['recordRemotelyDeleted', 'user', '2', undefined],
+    ]);
+    await this.settled();
+  });
+
+  test('it merges the updates without losing the local changes', async function (assert) {
+    const store = this.store;
+    const adapter = this.adapter;
+    const conflicts = [];
+    const diverged = [];
+    store.on('conflict', null, (conflict) => conflicts.push(conflict));
+    adapter.on('didDetectDivergence', null, (modelName, id) => {
+      diverged.push(id);
+    });
+    adapter.partialUpdates = true;
+    adapter.checkPreviousOnUpdate = true;
+    await store.watch('team');
+    const team = run(() =>
+      store.push({
+        data: {
+          type: 'team',
+          id: '1',
+          attributes: { name: 'Core', color: 'red' },
+        },
+      }),
+    );
+
+    team.name = 'Local';
+    this.message('team', {
+      verb: 'updated',
+      id: 1,
+      data: { name: 'Remote', color: 'blue' },
+      previous: { color: 'red' },
+    });
+    assert.strictEqual(team.color, 'blue', 'it should merge the message');
+    assert.strictEqual(team.name, 'Local', 'it should keep the local changes');
+
+    adapter.conflictPolicy = 'notify';
+    this.message('team', { verb: 'updated', id: 1, data: { name: 'Remote' } });
+    assert.strictEqual(team.name, 'Local', 'notify should not apply it');
+    assert.strictEqual(conflicts.length, 1);
+    conflicts[0].acceptRemote();
+    assert.strictEqual(team.name, 'Remote');
+    assert.false(team.hasDirtyAttributes);
+
+    this.responses['get /api/v1/teams/1'] = {
+      team: { id: 1, name: 'Reloaded', color: 'green' },
+    };
+    this.message('team', {
+      verb: 'updated',
+      id: 1,
+      data: { color: 'black' },
+      previous: { color: 'white' },
+    });
+    assert.deepEqual(diverged, ['1']);
+    await this.settled();
+    assert.strictEqual(team.color, 'green', 'it should reload the record');
+  });
+});
@@ -0,0 +1,119 @@
+import { run } from '@ember/runloop';
+import { A } from '@ember/array';
+import { underscore } from '@ember/string';
+import {
+  addListener,
+  hasListeners,
+  removeListener,
+  sendEvent,
+} from '@ember/object/events';
+import LiveRecordArray from '@voll/ember-data-sails/live-record-array';
+import { module, test } from 'qunit';
+
+class Task {
+  static modelName = 'task';
+
+  static eachAttribute(callback) {
+    callback('isDone', { type: 'boolean' });
+  }
+
+  static eachRelationship() {}
+
+  constructor(id, isDone) {
+    this.id = id;
+    this.isDone = isDone;
+  }
+}
+
+module('LiveRecordArray', function (hooks) {
+  hooks.beforeEach(function () {
+    const watched = (this.watched = []);
+    const adapter = {
+      _listenToSocket() {},
+      watch(type) {
+        watched.push(type.modelName);
+        return Promise.resolve();
+      },
+      unwatch(type) {
+        watched.splice(watched.indexOf(type.modelName), 1);
+        return Promise.resolve();
+      },
+    };
+    const tasks = (this.tasks = [new Task('1', false), new Task('2', false)]);
+    this.store = {
+      adapterFor: () => adapter,
+      modelFor: () => Task,
+      serializerFor: () => ({
+        primaryKey: 'id',
+        keyForAttribute: (name) => underscore(name),
+        keyForRelationship: (name) => underscore(name),
+      }),
+      query: () => Promise.resolve(A(tasks.slice())),
+      on(name, target, method) {
+        addListener(this, name, target, method);
+      },
+      off(name, target, method) {
+        removeListener(this, name, target, method);
+      },
+      trigger(name, ...args) {
+        sendEvent(this, name, args);
+      },
+    };
+  });
+
+  test('it applies the remote changes of the records', async function (assert) {
+    const array = await LiveRecordArray.create({
+      content: A(),
+      store: this.store,
+      modelName: 'task',
+      query: { where: { is_done: false } },
+    }).load();
+    assert.deepEqual(array.mapBy('id'), ['1', '2']);
+    assert.deepEqual(this.watched, ['task'], 'it should watch the new records');
+
+    const created = new Task('3', false);
+    this.store.trigger('recordRemotelyCreated', created);
+    this.store.trigger('recordRemotelyCreated', new Task('4', true));
+    this.tasks[0].isDone = true;
+    this.store.trigger('recordRemotelyUpdated', this.tasks[0], ['isDone']);
+    this.store.trigger('recordRemotelyDeleted', this.tasks[1]);
+    assert.deepEqual(
+      array.mapBy('id'),
+      ['3'],
+      'it should add the matching records and remove the others',
+    );
+
+    run(() => array.destroy());
+    assert.deepEqual(this.watched, [], 'it should stop watching');
+    assert.false(
+      hasListeners(this.store, 'recordRemotelyCreated'),
+      'it should stop listening',
+    );
+  });
+
+  test('it applies the records saved locally', async function (assert) {
+    const array = await LiveRecordArray.create({
+      content: A(),
+      store: this.store,
+      modelName: 'task',
+      query: { where: { or: [{ id: '3' }, { is_done: false }] } },
+    }).load();
+
+    this.store.trigger('recordLocallyCreated', new Task('4', true));
+    this.store.trigger('recordLocallyCreated', new Task('5', false));
+    this.tasks[0].isDone = true;
+    this.store.trigger('recordLocallyUpdated', this.tasks[0]);
+    this.store.trigger('recordLocallyDeleted', this.tasks[1]);
+    assert.deepEqual(
+      array.mapBy('id'),
+      ['5'],
+      'it should match the keys of the serializer',
+    );
+
+    run(() => array.destroy());
+    assert.false(
+      hasListeners(this.store, 'recordLocallyCreated'),
+      'it should stop listening',
+    );
+  });
+});
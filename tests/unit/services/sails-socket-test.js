@@ -1,7 +1,12 @@
-import { module } from 'qunit';
+import { module, test } from 'qunit';
 import { setupTest } from 'ember-qunit';
+import { waitUntil } from '@ember/test-helpers';
 import ioMock from '../../helpers/io-mock';
-
+import {
+  SailsAbortError,
+  SailsLoadError,
+  SailsTimeoutError,
+} from '@voll/ember-data-sails/errors';
 
 module('SailsSocketService', function(hooks) {
   setupTest(hooks);
@@ -16,5 +21,328 @@ module('SailsSocketService', function(hooks) {
     this.teardown = function () {
 		ioMock.mockTeardown();
 	};
+
+    this.subject = function () {
+      const service = this.owner.lookup('service:sails-socket');
+      // never give the socket, as if it could not connect
+      service._connectedSocket = function () {};
+      return service;
+    };
+  });
+
+  test('it rejects a request which timed out', async function (assert) {
+    const service = this.subject();
+
+    const promise = service.request('get', '/posts', null, { timeout: 10 });
+    assert.strictEqual(
+      service.pendingOperationCount,
+      1,
+      'the request should be pending',
+    );
+    await assert.rejects(
+      promise,
+      SailsTimeoutError,
+      'the request should reject with a timeout error',
+    );
+    assert.strictEqual(
+      service.pendingOperationCount,
+      0,
+      'the request should not be pending anymore',
+    );
+
+    service.requestTimeout = 10;
+    await assert.rejects(
+      service.request('get', '/posts'),
+      SailsTimeoutError,
+      'the global timeout should be used when none is given',
+    );
+  });
+
+  test('it rejects a request which has been aborted', async function (assert) {
+    const service = this.subject();
+    const controller = new AbortController();
+
+    const promise = service.request('get', '/posts', null, {
+      signal: controller.signal,
+    });
+    controller.abort();
+    await assert.rejects(
+      promise,
+      SailsAbortError,
+      'the request should reject with an abort error',
+    );
+    assert.strictEqual(
+      service.pendingOperationCount,
+      0,
+      'the request should not be pending anymore',
+    );
+
+    await assert.rejects(
+      service.request('get', '/posts', null, { signal: controller.signal }),
+      SailsAbortError,
+      'a request with an already aborted signal should reject right away',
+    );
+  });
+
+  test('it computes the reconnect delay with an exponential backoff', function (assert) {
+    const service = this.owner.lookup('service:sails-socket');
+    service.reconnectJitter = 0;
+
+    assert.deepEqual(
+      [1, 2, 3, 4].map((attempt) => service._reconnectDelayFor(attempt)),
+      [1000, 2000, 4000, 8000],
+      'the delay should double after each attempt',
+    );
+    assert.strictEqual(
+      service._reconnectDelayFor(10),
+      30000,
+      'the delay should not exceed reconnectMaxDelay',
+    );
+
+    service.reconnectJitter = 0.5;
+    const delay = service._reconnectDelayFor(2);
+    assert.ok(delay >= 1000, 'the jitter should not go below half the delay');
+    assert.ok(delay <= 3000, 'the jitter should not go above 1.5 the delay');
+  });
+
+  test('it gives up reconnecting after reconnectMaxAttempts', async function (assert) {
+    const service = this.owner.lookup('service:sails-socket');
+    const states = [];
+    service.on('didChangeConnectionState', null, (state, previous) => {
+      states.push([previous, state]);
+    });
+    service.reconnectMaxAttempts = 3;
+    service.reconnectAttempt = 3;
+    // the request waits for a socket which never connects
+    service._load = () => {};
+    const request = service.request('get', '/posts');
+    await waitUntil(() => service._waitingForSockets);
+
+    service._scheduleReconnect();
+    assert.strictEqual(
+      service.connectionState,
+      'failed',
+      'the connection should be in failed state',
+    );
+    assert.deepEqual(
+      states,
+      [['offline', 'failed']],
+      'the state change should have been triggered',
+    );
+    assert.strictEqual(
+      service.nextReconnectAt,
+      null,
+      'no reconnect attempt should be scheduled',
+    );
+
+    await assert.rejects(
+      request,
+      /Unable to reconnect the socket after 3 attempt\(s\)/,
+      'the request waiting for the socket should reject',
+    );
+    assert.strictEqual(
+      service.pendingOperationCount,
+      0,
+      'the request should not be pending anymore',
+    );
+  });
+
+  test('it fails when sails.io.js cannot be loaded', async function (assert) {
+    const service = this.owner.lookup('service:sails-socket');
+    const failures = [];
+    service.on('didFailToLoad', null, (error) => failures.push(error));
+    service.loadSocketClient = () =>
+      Promise.reject(new SailsLoadError('unable to load sails.io.js'));
+
+    await assert.rejects(
+      service.request('get', '/posts'),
+      SailsLoadError,
+      'the request should reject with a load error',
+    );
+    assert.strictEqual(
+      service.connectionState,
+      'failed',
+      'the connection should be in failed state',
+    );
+    assert.strictEqual(
+      failures.length,
+      1,
+      'the didFailToLoad event should have been triggered',
+    );
+    assert.strictEqual(
+      service.pendingOperationCount,
+      0,
+      'the request should not be pending anymore',
+    );
+  });
+
+  test('it manages named connections', function (assert) {
+    const service = this.owner.lookup('service:sails-socket');
+
+    assert.strictEqual(
+      service.connectionFor(),
+      service,
+      'the service itself should be the default connection',
+    );
+    const connection = service.registerConnection('notifications', {
+      socketUrl: 'https://notifications.example.com',
+      requestTimeout: 5000,
+    });
+    assert.strictEqual(
+      service.connectionFor('notifications'),
+      connection,
+      'the named connection should be returned',
+    );
+    assert.notStrictEqual(connection, service, 'it should be another instance');
+    assert.strictEqual(connection.connectionName, 'notifications');
+    assert.strictEqual(
+      connection.socketUrl,
+      'https://notifications.example.com',
+      'the connection should have its own URL',
+    );
+    assert.strictEqual(
+      connection.requestTimeout,
+      5000,
+      'the options should be applied to the connection',
+    );
+    assert.strictEqual(
+      connection.connectionState,
+      'offline',
+      'the connection should have its own state',
+    );
+    assert.throws(
+      () => service.connectionFor('unknown'),
+      /Unknown Sails socket connection/,
+      'an unknown connection should throw',
+    );
+  });
+
+  test('it sends the global and per-request headers', async function (assert) {
+    const service = this.owner.lookup('service:sails-socket');
+    const sent = [];
+    service._connectedSocket = function (callback) {
+      callback(null, {
+        request(options, cb) {
+          sent.push(options);
+          cb({}, { statusCode: 200 });
+        },
+      });
+    };
+
+    service.headers = { 'X-Tenant': 'acme' };
+    await service.request('get', '/posts', null, {
+      headers: { Authorization: 'Bearer abc' },
+    });
+    assert.deepEqual(
+      sent[0].headers,
+      { 'X-Tenant': 'acme', Authorization: 'Bearer abc' },
+      'the headers should be merged',
+    );
+
+    service.headers = (method, url) => ({ 'X-Request': `${method} ${url}` });
+    await service.request('post', '/posts', {});
+    assert.deepEqual(
+      sent[1].headers,
+      { 'X-Request': 'post /posts' },
+      'the headers provider should be called with the method and URL',
+    );
+
+    service.headers = () => {
+      throw new Error('no session');
+    };
+    await assert.rejects(
+      service.request('get', '/posts'),
+      /no session/,
+      'a throwing headers provider should reject the request',
+    );
+    assert.strictEqual(
+      service.pendingOperationCount,
+      0,
+      'the request should not be pending anymore',
+    );
+  });
+
+  test('it refreshes the authentication and retries once on 401', async function (assert) {
+    const service = this.owner.lookup('service:sails-socket');
+    const sent = [];
+    let refreshCount = 0;
+    service._connectedSocket = function (callback) {
+      callback(null, {
+        request(options, cb) {
+          sent.push(options);
+          const isAuthorized =
+            options.headers.Authorization === 'Bearer new-token';
+          cb(isAuthorized ? { ok: true } : {}, {
+            statusCode: isAuthorized ? 200 : 401,
+          });
+        },
+      });
+    };
+    service.refreshAuthentication = function () {
+      refreshCount++;
+      return Promise.resolve('new-token');
+    };
+
+    const response = await service.request('get', '/posts');
+    assert.deepEqual(response, { ok: true }, 'the retry should succeed');
+    assert.strictEqual(refreshCount, 1, 'the token should be refreshed once');
+    assert.strictEqual(sent.length, 2, 'the request should be sent twice');
+    assert.strictEqual(service.authToken, 'new-token');
+
+    service.refreshAuthentication = function () {
+      return Promise.resolve('still-invalid');
+    };
+    service.authToken = 'expired';
+    await assert.rejects(
+      service.request('get', '/posts'),
+      (jwr) => jwr.statusCode === 401,
+      'the request should be retried only once',
+    );
+    assert.strictEqual(
+      service.pendingOperationCount,
+      0,
+      'no request should be pending anymore',
+    );
+  });
+
+  test('it runs the requests through the interceptors', async function (assert) {
+    const service = this.owner.lookup('service:sails-socket');
+    const sent = [];
+    service._connectedSocket = function (callback) {
+      callback(null, {
+        request(options, cb) {
+          sent.push(options);
+          cb({ data: { id: 1 } }, { statusCode: 200, headers: {} });
+        },
+      });
+    };
+    const calls = [];
+    service.use(async (request, next) => {
+      calls.push('first');
+      request.headers['X-Trace-Id'] = 'abc';
+      return next({ ...request, data: { ...request.data, tenant: 'acme' } });
+    });
+    const unregister = service.use(async (request, next) => {
+      calls.push('second');
+      const response = await next();
+      return { ...response, body: response.body.data };
+    });
+
+    const response = await service.request('get', '/posts/1', {});
+    assert.deepEqual(calls, ['first', 'second'], 'it should run them in order');
+    assert.strictEqual(sent[0].headers['X-Trace-Id'], 'abc');
+    assert.deepEqual(
+      sent[0].data,
+      { tenant: 'acme' },
+      'the request given to next should be sent',
+    );
+    assert.deepEqual(response, { id: 1 }, 'the response should be changed');
+
+    unregister();
+    assert.deepEqual(
+      await service.request('get', '/posts/1', {}),
+      { data: { id: 1 } },
+      'an unregistered interceptor should not be run anymore',
+    );
   });
 });
@@ -0,0 +1,58 @@
+import { module, test } from 'qunit';
+import { setupTest } from 'ember-qunit';
+import { run } from '@ember/runloop';
+
+module('StoreService', function (hooks) {
+  setupTest(hooks);
+
+  hooks.beforeEach(function () {
+    this.store = this.owner.lookup('service:store');
+    this.pushPost = (id) =>
+      run(() =>
+        this.store.push({
+          data: { type: 'post', id, attributes: { title: `Post ${id}` } },
+        }),
+      );
+  });
+
+  test('it forgets the remotely deleted records once unloaded', function (assert) {
+    const store = this.store;
+    const posts = ['1', '2', '3'].map(this.pushPost);
+    posts.forEach((post) => store.markRemotelyDeleted(post));
+    assert.true(posts[0].isRemotelyDeleted);
+
+    run(() => store.unloadRecord(posts[0]));
+    assert.deepEqual(
+      Array.from(store._remotelyDeleted).map((post) => post.id),
+      ['2', '3'],
+      'it should forget the unloaded record',
+    );
+
+    run(() => store.unloadAll('user'));
+    assert.strictEqual(
+      store._remotelyDeleted.size,
+      2,
+      'it should keep the records of other models',
+    );
+    run(() => store.unloadAll('post'));
+    assert.strictEqual(store._remotelyDeleted.size, 0);
+
+    store.markRemotelyDeleted(this.pushPost('4'));
+    run(() => store.unloadAll());
+    assert.strictEqual(store._remotelyDeleted.size, 0);
+  });
+
+  test('it keeps the remotely deleted records which are not retained until asked to unload them', function (assert) {
+    const store = this.store;
+    const post = this.pushPost('1');
+    store.markRemotelyDeleted(post);
+    assert.strictEqual(store.peekRecord('post', '1'), post);
+
+    assert.strictEqual(
+      run(() => store.unloadRemotelyDeleted('post')),
+      1,
+    );
+    assert.strictEqual(store.peekRecord('post', '1'), null);
+    assert.strictEqual(store._remotelyDeleted.size, 0);
+  });
+});
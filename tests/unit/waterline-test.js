@@ -0,0 +1,32 @@
+import { matchesWhere } from '@voll/ember-data-sails/waterline';
+import { module, test } from 'qunit';
+
+module('waterline', function () {
+  test('matchesWhere matches records like the blueprints of Sails', function (assert) {
+    const task = {
+      id: '3',
+      project: '5',
+      done: false,
+      title: 'Write the docs',
+      dueAt: new Date('2024-01-10T00:00:00Z'),
+    };
+    assert.true(matchesWhere(task, { project: 5, done: false }));
+    assert.false(matchesWhere(task, { project: 6 }));
+    assert.true(matchesWhere(task, { id: [1, 3] }), 'a list is an `in`');
+    assert.true(
+      matchesWhere(task, { title: { contains: 'DOCS', startsWith: 'write' } }),
+    );
+    assert.true(matchesWhere(task, { title: { like: 'write%docs' } }));
+    assert.true(
+      matchesWhere(task, { dueAt: { '>=': '2024-01-01T00:00:00Z' } }),
+      'dates are compared with strings',
+    );
+    assert.true(
+      matchesWhere(task, { or: [{ done: true }, { id: { nin: [1] } }] }),
+    );
+    assert.false(
+      matchesWhere(task, '{"and":[{"done":false},{"id":{"!=":3}}]}'),
+    );
+    assert.true(matchesWhere(task, null), 'no clause matches everything');
+  });
+});